@@ -0,0 +1,117 @@
+import axios from "axios";
+
+const RETRYABLE_STATUSES = [408, 429, 502, 503, 504];
+const RETRYABLE_CODES = [
+  "ECONNABORTED",
+  "ECONNRESET",
+  "ETIMEDOUT",
+  "EAI_AGAIN",
+  "ENOTFOUND",
+  "EPIPE",
+];
+// Repeating these has the same effect as sending them once
+const IDEMPOTENT_METHODS = ["get", "head", "options", "put", "delete"];
+
+const DEFAULT_RETRY_OPTIONS = {
+  retries: 4,
+  baseDelayMs: 500,
+  maxDelayMs: 30000,
+  // Retry-After values above this are treated as fatal instead of waited out
+  maxRetryAfterMs: 120000,
+};
+
+export function isRetryableError(error) {
+  if (error.response) {
+    return RETRYABLE_STATUSES.includes(error.response.status);
+  }
+  return !!error.code && RETRYABLE_CODES.includes(error.code);
+}
+
+// A rate-limited request was not processed, so even a POST can be repeated
+function canRetryRequest(error) {
+  const method = (error.config?.method || "get").toLowerCase();
+  return (
+    IDEMPOTENT_METHODS.includes(method) || error.response?.status === 429
+  );
+}
+
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+export function getRetryDelay(attempt, options, random = Math.random) {
+  const exponential = Math.min(
+    options.maxDelayMs,
+    options.baseDelayMs * 2 ** attempt
+  );
+  // Jitter keeps parallel clients from retrying in lockstep
+  return Math.round(exponential / 2 + (random() * exponential) / 2);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Wraps a failed request in a readable error that keeps whether it is worth retrying
+export function apiError(message, cause) {
+  const error = new Error(message);
+  error.status = cause?.response?.status;
+  error.retryable = cause ? isRetryableError(cause) : false;
+  return error;
+}
+
+export function createHttpClient(axiosConfig, retryOptions = {}) {
+  const options = { ...DEFAULT_RETRY_OPTIONS, ...retryOptions };
+  const wait = options.sleep || sleep;
+  const instance = axios.create(axiosConfig);
+  // Set on a rate limit so concurrent requests back off together
+  let pausedUntil = 0;
+
+  instance.interceptors.request.use(async (config) => {
+    const remaining = pausedUntil - Date.now();
+    // Retries have already waited for their own delay
+    if (remaining > 0 && !config.retryAttempt) {
+      await wait(remaining);
+    }
+    return config;
+  });
+
+  instance.interceptors.response.use(undefined, async (error) => {
+    error.retryable = isRetryableError(error);
+
+    const config = error.config;
+    if (!config || !error.retryable || !canRetryRequest(error)) {
+      throw error;
+    }
+
+    const attempt = config.retryAttempt || 0;
+    if (attempt >= options.retries) {
+      throw error;
+    }
+
+    const retryAfter = parseRetryAfter(error.response?.headers?.["retry-after"]);
+    if (retryAfter !== null && retryAfter > options.maxRetryAfterMs) {
+      throw error;
+    }
+
+    const delay = retryAfter ?? getRetryDelay(attempt, options);
+    if (error.response?.status === 429) {
+      pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+    }
+
+    await wait(delay);
+    return instance({ ...config, retryAttempt: attempt + 1 });
+  });
+
+  return instance;
+}
@@ -1,13 +1,52 @@
-import axios from "axios";
 import dayjs from "dayjs";
-import utc from "dayjs/plugin/utc.js";
 import { config } from "../config.js";
+import { createHttpClient, apiError } from "./http.js";
+import { mapWithConcurrency } from "../utils/concurrency.js";
+import { formatZonedDateTime } from "../utils/timezone.js";
 
-dayjs.extend(utc);
+// /issue/bulkfetch accepts at most this many keys per request
+const BULK_FETCH_LIMIT = 100;
+
+function buildWorkLogPayload(timeSpentSeconds, startedAt, comment) {
+  // Handle multi-line comments by splitting into paragraphs
+  const commentLines = comment.split("\n").filter((line) => line.trim());
+  const content = commentLines.map((line) => ({
+    type: "paragraph",
+    content: [
+      {
+        text: line,
+        type: "text",
+      },
+    ],
+  }));
+
+  return {
+    timeSpentSeconds,
+    started: formatZonedDateTime(startedAt),
+    comment: {
+      type: "doc",
+      version: 1,
+      content:
+        content.length > 0
+          ? content
+          : [
+              {
+                type: "paragraph",
+                content: [
+                  {
+                    text: "Logged from Toggl Track",
+                    type: "text",
+                  },
+                ],
+              },
+            ],
+    },
+  };
+}
 
 export class JiraClient {
   constructor() {
-    this.client = axios.create({
+    this.client = createHttpClient({
       baseURL: config.jira.apiUrl,
       auth: {
         username: config.jira.email,
@@ -18,67 +57,94 @@ export class JiraClient {
         "Content-Type": "application/json",
       },
     });
+
+    // Cache for WORK_ON_ISSUES by project key
+    this.workPermissions = new Map();
   }
 
   async createWorkLog(issueKey, timeSpentSeconds, startedAt, comment = "") {
     try {
-      // Handle multi-line comments by splitting into paragraphs
-      const commentLines = comment.split("\n").filter((line) => line.trim());
-      const content = commentLines.map((line) => ({
-        type: "paragraph",
-        content: [
-          {
-            text: line,
-            type: "text",
-          },
-        ],
-      }));
-
-      const payload = {
-        timeSpentSeconds,
-        started:
-          dayjs(startedAt).utc().format("YYYY-MM-DDTHH:mm:ss.SSS") + "+0000",
-        comment: {
-          type: "doc",
-          version: 1,
-          content:
-            content.length > 0
-              ? content
-              : [
-                  {
-                    type: "paragraph",
-                    content: [
-                      {
-                        text: "Logged from Toggl Track",
-                        type: "text",
-                      },
-                    ],
-                  },
-                ],
-        },
-      };
-
       const response = await this.client.post(
         `/issue/${issueKey}/worklog`,
-        payload
+        buildWorkLogPayload(timeSpentSeconds, startedAt, comment)
       );
 
       return response.data;
     } catch (error) {
       if (error.response) {
-        throw new Error(
+        throw apiError(
           `Failed to create work log for ${issueKey}: ${error.response.status} - ` +
             `${
               error.response.data.errorMessages?.join(", ") ||
               error.response.statusText
-            }`
+            }`,
+          error
         );
       }
       throw error;
     }
   }
 
-  async batchCreateWorkLogs(workLogs) {
+  async updateWorkLog(
+    issueKey,
+    workLogId,
+    timeSpentSeconds,
+    startedAt,
+    comment = ""
+  ) {
+    try {
+      const response = await this.client.put(
+        `/issue/${issueKey}/worklog/${workLogId}`,
+        buildWorkLogPayload(timeSpentSeconds, startedAt, comment)
+      );
+
+      return response.data;
+    } catch (error) {
+      if (error.response) {
+        throw apiError(
+          `Failed to update work log ${workLogId} for ${issueKey}: ${error.response.status} - ` +
+            `${
+              error.response.data?.errorMessages?.join(", ") ||
+              error.response.statusText
+            }`,
+          error
+        );
+      }
+      throw error;
+    }
+  }
+
+  async batchCreateWorkLogs(workLogs, { concurrency = 1 } = {}) {
+    const outcomes = await mapWithConcurrency(
+      workLogs,
+      concurrency,
+      async (workLog, index) => {
+        try {
+          const result = await this.createWorkLog(
+            workLog.issueKey,
+            workLog.timeSpentSeconds,
+            workLog.startedAt,
+            workLog.comment
+          );
+          return { ...workLog, index, workLogId: result.id };
+        } catch (error) {
+          return {
+            ...workLog,
+            index,
+            error: error.message,
+            retryable: !!error.retryable,
+          };
+        }
+      }
+    );
+
+    return {
+      successful: outcomes.filter((outcome) => !("error" in outcome)),
+      failed: outcomes.filter((outcome) => "error" in outcome),
+    };
+  }
+
+  async batchUpdateWorkLogs(workLogs) {
     const results = {
       successful: [],
       failed: [],
@@ -86,21 +152,60 @@ export class JiraClient {
 
     for (const workLog of workLogs) {
       try {
-        const result = await this.createWorkLog(
+        await this.updateWorkLog(
           workLog.issueKey,
+          workLog.workLogId,
           workLog.timeSpentSeconds,
           workLog.startedAt,
           workLog.comment
         );
 
-        results.successful.push({
+        results.successful.push(workLog);
+      } catch (error) {
+        results.failed.push({
           ...workLog,
-          workLogId: result.id,
+          error: error.message,
+          retryable: !!error.retryable,
         });
+      }
+    }
+
+    return results;
+  }
+
+  async deleteWorkLog(issueKey, workLogId) {
+    try {
+      await this.client.delete(`/issue/${issueKey}/worklog/${workLogId}`);
+    } catch (error) {
+      if (error.response) {
+        throw apiError(
+          `Failed to delete work log ${workLogId} for ${issueKey}: ${error.response.status} - ` +
+            `${
+              error.response.data?.errorMessages?.join(", ") ||
+              error.response.statusText
+            }`,
+          error
+        );
+      }
+      throw error;
+    }
+  }
+
+  async batchDeleteWorkLogs(workLogs) {
+    const results = {
+      successful: [],
+      failed: [],
+    };
+
+    for (const workLog of workLogs) {
+      try {
+        await this.deleteWorkLog(workLog.issueKey, workLog.workLogId);
+        results.successful.push(workLog);
       } catch (error) {
         results.failed.push({
           ...workLog,
           error: error.message,
+          retryable: !!error.retryable,
         });
       }
     }
@@ -108,6 +213,96 @@ export class JiraClient {
     return results;
   }
 
+  async getCurrentUser() {
+    if (!this.currentUser) {
+      const response = await this.client.get("/myself");
+      this.currentUser = response.data;
+    }
+
+    return this.currentUser;
+  }
+
+  // Follows Jira's startAt/maxResults pagination until every work log is read
+  async getIssueWorkLogs(issueKey, { startedAfter, startedBefore } = {}) {
+    const workLogs = [];
+    let startAt = 0;
+
+    try {
+      while (true) {
+        const response = await this.client.get(`/issue/${issueKey}/worklog`, {
+          params: {
+            startAt,
+            maxResults: 1000,
+            startedAfter: startedAfter ? dayjs(startedAfter).valueOf() : undefined,
+            startedBefore: startedBefore
+              ? dayjs(startedBefore).valueOf()
+              : undefined,
+          },
+        });
+
+        const page = response.data.worklogs || [];
+        workLogs.push(...page);
+        startAt += page.length;
+
+        if (page.length === 0 || startAt >= response.data.total) {
+          break;
+        }
+      }
+    } catch (error) {
+      if (error.response) {
+        throw apiError(
+          `Failed to fetch work logs for ${issueKey}: ${error.response.status} - ` +
+            `${
+              error.response.data?.errorMessages?.join(", ") ||
+              error.response.statusText
+            }`,
+          error
+        );
+      }
+      throw error;
+    }
+
+    return workLogs.map((workLog) => ({ ...workLog, issueKey }));
+  }
+
+  // Uses the token based pagination of the enhanced JQL search endpoint
+  async searchIssues(jql, { fields = ["key"], maxResults } = {}) {
+    const issues = [];
+    let nextPageToken;
+
+    try {
+      do {
+        const response = await this.client.get("/search/jql", {
+          params: {
+            jql,
+            fields: fields.join(","),
+            maxResults: maxResults ? Math.min(maxResults, 100) : 100,
+            nextPageToken,
+          },
+        });
+
+        issues.push(...(response.data.issues || []));
+        nextPageToken = response.data.isLast
+          ? undefined
+          : response.data.nextPageToken;
+      } while (nextPageToken && !(maxResults && issues.length >= maxResults));
+    } catch (error) {
+      if (error.response) {
+        throw apiError(
+          `Failed to search issues: ${error.response.status} - ` +
+            `${
+              error.response.data?.errorMessages?.join(", ") ||
+              error.response.statusText
+            }`,
+          error
+        );
+      }
+      throw error;
+    }
+
+    return maxResults ? issues.slice(0, maxResults) : issues;
+  }
+
   async validateIssueKey(issueKey) {
     try {
       await this.client.get(`/issue/${issueKey}`, {
@@ -123,34 +318,72 @@ export class JiraClient {
   }
 
   async bulkFetchIssueIds(issueIdsOrKeys) {
+    const { issues } = await this.bulkFetchIssues(issueIdsOrKeys, ["id"]);
+
+    // Create a map from issue key to issue ID for easy lookup
+    const issueKeyToIdMap = {};
+    issues.forEach((issue) => {
+      issueKeyToIdMap[issue.key] = parseInt(issue.id);
+    });
+
+    return issueKeyToIdMap;
+  }
+
+  // Keys that don't exist or can't be seen are returned as missingKeys
+  async bulkFetchIssues(issueIdsOrKeys, fields = ["summary", "status", "project"]) {
+    const issues = [];
+    const missingKeys = [];
+
     try {
-      const payload = {
-        fields: ["id"],
-        issueIdsOrKeys: issueIdsOrKeys,
-      };
-
-      const response = await this.client.post("/issue/bulkfetch", payload);
-
-      // Create a map from issue key to issue ID for easy lookup
-      const issueKeyToIdMap = {};
-      if (response.data && response.data.issues) {
-        response.data.issues.forEach((issue) => {
-          issueKeyToIdMap[issue.key] = parseInt(issue.id);
+      for (let i = 0; i < issueIdsOrKeys.length; i += BULK_FETCH_LIMIT) {
+        const response = await this.client.post("/issue/bulkfetch", {
+          fields,
+          issueIdsOrKeys: issueIdsOrKeys.slice(i, i + BULK_FETCH_LIMIT),
         });
-      }
 
-      return issueKeyToIdMap;
+        issues.push(...(response.data?.issues || []));
+        (response.data?.issueErrors || []).forEach((issueError) => {
+          missingKeys.push(...(issueError.invalidIssueIdsOrKeys || []));
+        });
+      }
     } catch (error) {
       if (error.response) {
-        throw new Error(
+        throw apiError(
           `Failed to fetch issue IDs: ${error.response.status} - ` +
             `${
               error.response.data.errorMessages?.join(", ") ||
               error.response.statusText
-            }`
+            }`,
+          error
         );
       }
       throw error;
     }
+
+    return { issues, missingKeys };
+  }
+
+  async canLogWork(projectKey) {
+    if (!this.workPermissions.has(projectKey)) {
+      try {
+        const response = await this.client.get("/mypermissions", {
+          params: { projectKey, permissions: "WORK_ON_ISSUES" },
+        });
+        this.workPermissions.set(
+          projectKey,
+          !!response.data.permissions?.WORK_ON_ISSUES?.havePermission
+        );
+      } catch (error) {
+        if (error.response) {
+          throw apiError(
+            `Failed to check permissions for ${projectKey}: ${error.response.status} - ${error.response.statusText}`,
+            error
+          );
+        }
+        throw error;
+      }
+    }
+
+    return this.workPermissions.get(projectKey);
   }
 }
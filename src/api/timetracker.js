@@ -1,17 +1,19 @@
-import axios from "axios";
 import { config } from "../config.js";
 import { JiraClient } from "./jira.js";
 import { formatTimetrackerWorklog } from "../utils/formatter.js";
+import { NO_ROUNDING } from "../utils/rounding.js";
+import { createHttpClient, apiError } from "./http.js";
+import { mapWithConcurrency } from "../utils/concurrency.js";
 
 export class TimetrackerClient {
   constructor() {
-    this.client = axios.create({
+    this.client = createHttpClient({
       baseURL: config.timetracker.apiUrl,
       headers: {
         "Content-Type": "application/json",
         "x-everit-api-key": config.timetracker.apiToken,
         "x-requested-by": "",
-        "x-timezone": "America/Sao_Paulo",
+        "x-timezone": config.timezone,
       },
     });
 
@@ -31,16 +33,27 @@ export class TimetrackerClient {
       return this.worklogTagsCache;
     }
 
+    // Concurrent conversions share one request instead of each fetching the tags
+    if (!this.worklogTagsRequest) {
+      this.worklogTagsRequest = this.fetchWorklogTags().finally(() => {
+        this.worklogTagsRequest = null;
+      });
+    }
+    return this.worklogTagsRequest;
+  }
+
+  async fetchWorklogTags() {
     try {
       const response = await this.client.get("/tag");
       this.worklogTagsCache = response.data.worklogTags || [];
       return this.worklogTagsCache;
     } catch (error) {
       if (error.response) {
-        throw new Error(
+        throw apiError(
           `Failed to fetch worklog tags: ${error.response.status} - ${
             error.response.data.message || error.response.statusText
-          }`
+          }`,
+          error
         );
       }
       throw error;
@@ -53,34 +66,117 @@ export class TimetrackerClient {
       return response.data;
     } catch (error) {
       if (error.response) {
-        throw new Error(
+        throw apiError(
           `Failed to create work log: ${error.response.status} - ${
             error.response.data.message || error.response.statusText
-          }`
+          }`,
+          error
         );
       }
       throw error;
     }
   }
 
-  async batchCreateWorkLogs(workLogs) {
+  async batchCreateWorkLogs(workLogs, { concurrency = 1 } = {}) {
+    const outcomes = await mapWithConcurrency(
+      workLogs,
+      concurrency,
+      async (workLog, index) => {
+        try {
+          const result = await this.createWorkLog(workLog);
+          return { ...workLog, index, workLogId: result.id };
+        } catch (error) {
+          return {
+            ...workLog,
+            index,
+            error: error.message,
+            retryable: !!error.retryable,
+          };
+        }
+      }
+    );
+
+    return {
+      successful: outcomes.filter((outcome) => !("error" in outcome)),
+      failed: outcomes.filter((outcome) => "error" in outcome),
+    };
+  }
+
+  async updateWorkLog(workLogId, workLogData) {
+    try {
+      const response = await this.client.put(
+        `/worklog/${workLogId}`,
+        workLogData
+      );
+      return response.data;
+    } catch (error) {
+      if (error.response) {
+        throw apiError(
+          `Failed to update work log ${workLogId}: ${error.response.status} - ${
+            error.response.data?.message || error.response.statusText
+          }`,
+          error
+        );
+      }
+      throw error;
+    }
+  }
+
+  async batchUpdateWorkLogs(workLogs) {
     const results = {
       successful: [],
       failed: [],
     };
 
-    for (const workLog of workLogs) {
+    for (const { workLogId, ...workLogData } of workLogs) {
       try {
-        const result = await this.createWorkLog(workLog);
+        await this.updateWorkLog(workLogId, workLogData);
 
-        results.successful.push({
-          ...workLog,
-          workLogId: result.id,
+        results.successful.push({ ...workLogData, workLogId });
+      } catch (error) {
+        results.failed.push({
+          ...workLogData,
+          workLogId,
+          error: error.message,
+          retryable: !!error.retryable,
         });
+      }
+    }
+
+    return results;
+  }
+
+  async deleteWorkLog(workLogId) {
+    try {
+      await this.client.delete(`/worklog/${workLogId}`);
+    } catch (error) {
+      if (error.response) {
+        throw apiError(
+          `Failed to delete work log ${workLogId}: ${error.response.status} - ${
+            error.response.data?.message || error.response.statusText
+          }`,
+          error
+        );
+      }
+      throw error;
+    }
+  }
+
+  async batchDeleteWorkLogs(workLogs) {
+    const results = {
+      successful: [],
+      failed: [],
+    };
+
+    for (const workLog of workLogs) {
+      try {
+        await this.deleteWorkLog(workLog.workLogId);
+        results.successful.push(workLog);
       } catch (error) {
         results.failed.push({
           ...workLog,
           error: error.message,
+          retryable: !!error.retryable,
         });
       }
     }
@@ -126,22 +222,15 @@ export class TimetrackerClient {
     );
 
     if (uncachedKeys.length > 0) {
-      try {
-        // Fetch issue IDs from Jira
-        const issueKeyToIdMap = await this.jiraClient.bulkFetchIssueIds(
-          uncachedKeys
-        );
+      // A failure is not swallowed: work logs without an issue id must not be sent
+      const issueKeyToIdMap = await this.jiraClient.bulkFetchIssueIds(
+        uncachedKeys
+      );
 
-        // Cache the results
-        Object.entries(issueKeyToIdMap).forEach(([key, id]) => {
-          this.issueKeyToIdCache.set(key, id);
-        });
-      } catch (error) {
-        console.warn(
-          `Warning: Failed to fetch issue IDs from Jira: ${error.message}`
-        );
-        // Continue with cached values only
-      }
+      // Cache the results
+      Object.entries(issueKeyToIdMap).forEach(([key, id]) => {
+        this.issueKeyToIdCache.set(key, id);
+      });
     }
 
     // Return the mapping for all requested keys
@@ -168,14 +257,24 @@ export class TimetrackerClient {
     }
   }
 
-  async convertParsedEntryToWorklog(parsedEntry) {
+  async convertParsedEntryToWorklog(parsedEntry, rounding = NO_ROUNDING) {
     const worklogTagIds = await this.mapTagsToWorklogTagIds(parsedEntry.tags);
 
     let issueId = null;
     if (parsedEntry.issueKey) {
       issueId = this.issueKeyToIdCache.get(parsedEntry.issueKey) || null;
+      if (!issueId) {
+        throw new Error(
+          `Issue id for ${parsedEntry.issueKey} could not be resolved; no work logs were created.`
+        );
+      }
     }
 
-    return formatTimetrackerWorklog(parsedEntry, worklogTagIds, issueId);
+    return formatTimetrackerWorklog(
+      parsedEntry,
+      worklogTagIds,
+      issueId,
+      rounding
+    );
   }
 }
@@ -1,10 +1,48 @@
-import axios from "axios";
 import dayjs from "dayjs";
 import { config } from "../config.js";
+import { createHttpClient, apiError } from "./http.js";
+import {
+  addDays,
+  endOfDay,
+  getLocalDate,
+  startOfDay,
+} from "../utils/timezone.js";
+
+// /me/time_entries only looks this far back; older periods come from the Reports API
+export const RECENT_ENTRIES_DAYS = 90;
+// /me/time_entries returns at most this many entries per call
+export const TIME_ENTRIES_LIMIT = 1000;
+const TIME_ENTRIES_WINDOW_DAYS = 7;
+// The Reports API rejects ranges longer than a year
+const REPORTS_WINDOW_DAYS = 365;
+const REPORTS_PAGE_SIZE = 50;
+
+// Splits [start, end] into consecutive windows of at most `days` days,
+// aligned to days of the configured timezone
+export function splitDateRange(start, end, days) {
+  const windows = [];
+  let windowStart = startOfDay(start);
+  const rangeEnd = endOfDay(end);
+
+  while (!windowStart.isAfter(rangeEnd)) {
+    let windowEnd = endOfDay(addDays(getLocalDate(windowStart), days - 1));
+    if (windowEnd.isAfter(rangeEnd)) {
+      windowEnd = rangeEnd;
+    }
+    windows.push({ start: windowStart, end: windowEnd });
+    windowStart = startOfDay(addDays(getLocalDate(windowEnd), 1));
+  }
+
+  return windows;
+}
+
+function toApiDateTime(date) {
+  return date.utc().format("YYYY-MM-DDTHH:mm:ss") + "Z";
+}
 
 export class TogglClient {
   constructor() {
-    this.client = axios.create({
+    this.client = createHttpClient({
       baseURL: config.toggl.apiUrl,
       auth: {
         username: config.toggl.apiToken,
@@ -18,48 +56,224 @@ export class TogglClient {
 
   async getTimeEntries(startDate, endDate) {
     try {
-      const params = {
-        start_date: dayjs(startDate).format("YYYY-MM-DDTHH:mm:ss") + "Z",
-        end_date:
-          dayjs(endDate).endOf("day").format("YYYY-MM-DDTHH:mm:ss") + "Z",
-      };
+      const recentStart = startOfDay(
+        addDays(getLocalDate(), -RECENT_ENTRIES_DAYS)
+      );
+      const rangeStart = startOfDay(startDate);
+      const rangeEnd = endOfDay(endDate);
+      const fetched = [];
 
-      const response = await this.client.get("/me/time_entries", { params });
+      if (rangeStart.isBefore(recentStart)) {
+        const reportsEnd = rangeEnd.isBefore(recentStart)
+          ? rangeEnd
+          : endOfDay(addDays(getLocalDate(recentStart), -1));
+        for (const window of splitDateRange(
+          rangeStart,
+          reportsEnd,
+          REPORTS_WINDOW_DAYS
+        )) {
+          fetched.push(
+            ...(await this.getReportTimeEntries(window.start, window.end))
+          );
+        }
+      }
+
+      if (!rangeEnd.isBefore(recentStart)) {
+        const recentRangeStart = rangeStart.isBefore(recentStart)
+          ? recentStart
+          : rangeStart;
+        for (const window of splitDateRange(
+          recentRangeStart,
+          rangeEnd,
+          TIME_ENTRIES_WINDOW_DAYS
+        )) {
+          fetched.push(
+            ...(await this.getRecentTimeEntries(window.start, window.end))
+          );
+        }
+      }
+
+      // Windows can share entries that cross their boundary
+      const entries = [
+        ...new Map(fetched.map((entry) => [entry.id, entry])).values(),
+      ].sort((a, b) => dayjs(a.start).valueOf() - dayjs(b.start).valueOf());
 
       // Filter by workspace and project if specified
-      const entries = response.data.filter((entry) => {
+      return entries.filter((entry) => {
         const matchesWorkspace =
           !config.toggl.workspaceId ||
-          entry.workspace_id === parseInt(config.toggl.workspaceId);
+          entry.workspaceId === parseInt(config.toggl.workspaceId);
         const matchesProject =
           !config.toggl.projectId ||
-          entry.project_id === parseInt(config.toggl.projectId);
+          entry.projectId === parseInt(config.toggl.projectId);
 
         return matchesWorkspace && matchesProject;
       });
-
-      return entries.map((entry) => ({
-        id: entry.id,
-        description: entry.description || "",
-        duration: entry.duration,
-        start: entry.start,
-        stop: entry.stop,
-        projectId: entry.project_id,
-        workspaceId: entry.workspace_id,
-        tags: entry.tags,
-      }));
     } catch (error) {
       if (error.response) {
-        throw new Error(
+        throw apiError(
           `Toggl API error: ${error.response.status} - ${
             error.response.data.message || error.response.statusText
-          }`
+          }`,
+          error
         );
       }
       throw error;
     }
   }
 
+  // Reads one window from /me/time_entries, halving it while the result looks capped
+  async getRecentTimeEntries(start, end) {
+    const response = await this.client.get("/me/time_entries", {
+      params: {
+        start_date: toApiDateTime(start),
+        end_date: toApiDateTime(end),
+        // Adds project and client names, which can hold issue keys
+        meta: true,
+      },
+    });
+
+    if (response.data.length >= TIME_ENTRIES_LIMIT) {
+      const days = end.diff(start, "day") + 1;
+      if (days > 1) {
+        const middleDate = addDays(
+          getLocalDate(start),
+          Math.floor(days / 2) - 1
+        );
+        return [
+          ...(await this.getRecentTimeEntries(start, endOfDay(middleDate))),
+          ...(await this.getRecentTimeEntries(
+            startOfDay(addDays(middleDate, 1)),
+            end
+          )),
+        ];
+      }
+
+      console.warn(
+        `Warning: Toggl returned the maximum of ${TIME_ENTRIES_LIMIT} entries for ${start.format(
+          "YYYY-MM-DD"
+        )}; some entries of that day may be missing.`
+      );
+    }
+
+    return response.data.map((entry) => ({
+      id: entry.id,
+      description: entry.description || "",
+      duration: entry.duration,
+      start: entry.start,
+      stop: entry.stop,
+      projectId: entry.project_id,
+      projectName: entry.project_name || null,
+      clientName: entry.client_name || null,
+      workspaceId: entry.workspace_id,
+      tags: entry.tags,
+    }));
+  }
+
+  // Reads one window from the Reports API, following its row pagination
+  async getReportTimeEntries(start, end) {
+    const workspaceId = parseInt(config.toggl.workspaceId);
+    const [user, tagNames, projects] = await Promise.all([
+      this.getCurrentUser(),
+      this.getTagNames(),
+      this.getProjects(),
+    ]);
+    const entries = [];
+    let cursor = {};
+
+    while (cursor) {
+      const response = await this.client.post(
+        `${config.toggl.reportsApiUrl}/workspace/${workspaceId}/search/time_entries`,
+        {
+          start_date: start.format("YYYY-MM-DD"),
+          end_date: end.format("YYYY-MM-DD"),
+          user_ids: [user.id],
+          ...(config.toggl.projectId && {
+            project_ids: [parseInt(config.toggl.projectId)],
+          }),
+          page_size: REPORTS_PAGE_SIZE,
+          ...cursor,
+        }
+      );
+
+      response.data.forEach((row) => {
+        row.time_entries.forEach((entry) => {
+          entries.push({
+            id: entry.id,
+            description: row.description || "",
+            duration: entry.seconds,
+            start: entry.start,
+            stop: entry.stop,
+            projectId: row.project_id,
+            projectName: projects.get(row.project_id)?.name || null,
+            clientName: projects.get(row.project_id)?.clientName || null,
+            workspaceId,
+            tags: (row.tag_ids || [])
+              .map((tagId) => tagNames.get(tagId))
+              .filter(Boolean),
+          });
+        });
+      });
+
+      const headers = response.headers || {};
+      cursor = headers["x-next-id"]
+        ? {
+            first_id: Number(headers["x-next-id"]),
+            first_row_number: Number(headers["x-next-row-number"]),
+            first_timestamp: Number(headers["x-next-timestamp"]),
+          }
+        : null;
+    }
+
+    return entries;
+  }
+
+  async getCurrentUser() {
+    if (!this.currentUser) {
+      const response = await this.client.get("/me");
+      this.currentUser = response.data;
+    }
+    return this.currentUser;
+  }
+
+  // The Reports API returns tag ids while /me/time_entries returns names
+  async getTagNames() {
+    if (!this.tagNames) {
+      const response = await this.client.get(
+        `/workspaces/${config.toggl.workspaceId}/tags`
+      );
+      this.tagNames = new Map(
+        (response.data || []).map((tag) => [tag.id, tag.name])
+      );
+    }
+    return this.tagNames;
+  }
+
+  // Project and client names by project id, which the Reports API leaves out
+  async getProjects() {
+    if (!this.projects) {
+      const [projectsResponse, clientsResponse] = await Promise.all([
+        this.client.get(`/workspaces/${config.toggl.workspaceId}/projects`, {
+          params: { active: "both" },
+        }),
+        this.client.get(`/workspaces/${config.toggl.workspaceId}/clients`),
+      ]);
+      const clientNames = new Map(
+        (clientsResponse.data || []).map((client) => [client.id, client.name])
+      );
+      this.projects = new Map(
+        (projectsResponse.data || []).map((project) => [
+          project.id,
+          {
+            name: project.name,
+            clientName: clientNames.get(project.client_id) || null,
+          },
+        ])
+      );
+    }
+    return this.projects;
+  }
+
   async getProjectDetails(projectId) {
     if (!projectId) return null;
 
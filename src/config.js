@@ -2,6 +2,7 @@ import dotenv from "dotenv";
 import { fileURLToPath } from "url";
 import { dirname, join } from "path";
 import { existsSync } from "fs";
+import { homedir } from "os";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -20,12 +21,37 @@ if (existsSync(cwdEnvPath)) {
   dotenv.config();
 }
 
+function parseList(value) {
+  return (value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+// A JSON array of patterns, or a single pattern
+function parsePatterns(value) {
+  if (!value) return [];
+  if (!value.trim().startsWith("[")) return [value];
+
+  let patterns;
+  try {
+    patterns = JSON.parse(value);
+  } catch (error) {
+    throw new Error(`Invalid ISSUE_KEY_PATTERNS: ${error.message}`);
+  }
+  if (!patterns.every((pattern) => typeof pattern === "string")) {
+    throw new Error("Invalid ISSUE_KEY_PATTERNS: expected an array of strings.");
+  }
+  return patterns;
+}
+
 export const config = {
   toggl: {
     apiToken: process.env.TOGGL_API_TOKEN,
     workspaceId: process.env.TOGGL_WORKSPACE_ID,
     projectId: process.env.TOGGL_PROJECT_ID,
     apiUrl: "https://api.track.toggl.com/api/v9",
+    reportsApiUrl: "https://api.track.toggl.com/reports/api/v3",
   },
   jira: {
     apiToken: process.env.JIRA_API_TOKEN,
@@ -39,6 +65,38 @@ export const config = {
     apiToken: process.env.TIMETRACKER_JIRA_API_TOKEN,
     apiUrl: "https://jttp-cloud.everit.biz/timetracker/api/latest/public",
   },
+  // IANA name used for day boundaries and displayed times
+  timezone:
+    process.env.TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone,
+  splitAtMidnight: process.env.SPLIT_AT_MIDNIGHT === "true",
+  // Days before the end of the last successful run that `sync --since-last` re-reads
+  sinceLastOverlapDays: process.env.SINCE_LAST_OVERLAP_DAYS || "1",
+  issueKeys: {
+    projects: parseList(process.env.ISSUE_KEY_PROJECTS),
+    sources: parseList(process.env.ISSUE_KEY_SOURCES),
+    // Parsed on use, so an invalid value is reported by the command
+    get patterns() {
+      return parsePatterns(process.env.ISSUE_KEY_PATTERNS);
+    },
+  },
+  rounding: {
+    mode: process.env.ROUNDING_MODE || "none",
+    minutes: Number(process.env.ROUNDING_MINUTES || 15),
+    minimumMinutes: Number(process.env.ROUNDING_MINIMUM_MINUTES || 0),
+    scope: process.env.ROUNDING_SCOPE || "group",
+  },
+  shortEntries: {
+    minimumSeconds: Number(process.env.SHORT_ENTRY_SECONDS || 0),
+    action: process.env.SHORT_ENTRY_ACTION || "discard",
+  },
+  targets: {
+    hoursPerDay: process.env.TARGET_HOURS_PER_DAY,
+    hoursPerWeek: process.env.TARGET_HOURS_PER_WEEK,
+    workDays: parseList(process.env.TARGET_WORK_DAYS),
+    holidaysFile:
+      process.env.TARGET_HOLIDAYS_FILE ||
+      join(homedir(), ".toggl-jira-holidays.json"),
+  },
 };
 
 export function validateConfig(mode = "timetracker") {
@@ -70,6 +128,14 @@ export function validateConfig(mode = "timetracker") {
     );
   }
 
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: config.timezone });
+  } catch {
+    throw new Error(
+      `Invalid TIMEZONE "${config.timezone}". Use an IANA name such as Europe/Prague.`
+    );
+  }
+
   // Check warnings for the other mode
   if (mode === "jira") {
     if (!config.timetracker.apiToken) {
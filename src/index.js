@@ -2,7 +2,6 @@
 
 import { program } from "commander";
 import chalk from "chalk";
-import dayjs from "dayjs";
 import inquirer from "inquirer";
 import Table from "cli-table3";
 
@@ -14,19 +13,71 @@ import { config, validateConfig } from "./config.js";
 import { TogglClient } from "./api/toggl.js";
 import { JiraClient } from "./api/jira.js";
 import { TimetrackerClient } from "./api/timetracker.js";
-import { parseDateInput } from "./utils/dateParser.js";
+import {
+  resolveDateRange,
+  resolveOpenDateRange,
+  resolveSinceLastRange,
+} from "./utils/dateParser.js";
 import {
   parseTimeEntry,
+  createIssueKeyRules,
+  withElapsedDuration,
   groupEntriesByDescription,
   groupEntriesByIssueKeyAndDate,
 } from "./utils/parser.js";
 import { prepareSummaryData, formatDuration, formatJiraWorkLogWithBreakdown } from "./utils/formatter.js";
-import { SyncHistory } from "./utils/syncHistory.js";
+import { SyncHistory, getRecordEntryId } from "./utils/syncHistory.js";
+import {
+  IssueMappings,
+  describeMappingRule,
+  describeLearnedRule,
+} from "./utils/issueMappings.js";
 import {
   promptForJiraAssignment,
   convertUnassignedToJiraEntries,
+  getUnassignedGroups,
+  resolveIssueProblems,
 } from "./utils/interactive.js";
-import { findGroupByWorkLog } from "./utils/entry-helpers.js";
+import {
+  findGroupByWorkLog,
+  mergeEntryGroups,
+} from "./utils/entry-helpers.js";
+import { EXIT_CODES, getSyncExitCode } from "./utils/exitCodes.js";
+import { findRemoteDuplicates } from "./utils/worklogMatcher.js";
+import {
+  checkIssueKeys,
+  attachIssueDetails,
+  getIssueProblems,
+  groupIssueProblems,
+  describeIssueProblem,
+  isBlockingProblem,
+} from "./utils/issueCheck.js";
+import {
+  DEFAULT_CONCURRENCY,
+  mapWithConcurrency,
+  parseConcurrency,
+} from "./utils/concurrency.js";
+import {
+  createRoundingRules,
+  getRoundingForMode,
+  NO_ROUNDING,
+} from "./utils/rounding.js";
+import {
+  combineMergedEntries,
+  createShortEntryRules,
+  separateShortEntries,
+} from "./utils/shortEntries.js";
+import {
+  splitAtMidnight,
+  splitEntriesAtMidnight,
+} from "./utils/midnightSplit.js";
+import { createTargetRules } from "./utils/targets.js";
+import { endOfDay, getLocalDate, toZone } from "./utils/timezone.js";
+import {
+  createReporter,
+  serializeSummary,
+  serializeWorkLogResults,
+} from "./utils/output.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -34,6 +85,108 @@ const packageJson = JSON.parse(
   readFileSync(join(__dirname, "..", "package.json"), "utf8")
 );
 
+function removeIssueGroups(groupedEntries, issueKey) {
+  Object.keys(groupedEntries).forEach((groupKey) => {
+    if (groupedEntries[groupKey].issueKey === issueKey) {
+      delete groupedEntries[groupKey];
+    }
+  });
+}
+
+function displayIssueProblems(problems) {
+  console.log("\n" + chalk.red.bold("Work logs that can't be created:"));
+  const problemsTable = new Table({
+    head: ["Issue Key", "Problem", "Work logs", "Entries", "Time"],
+    colWidths: [12, 34, 11, 10, 10],
+  });
+
+  problems.forEach((problem) => {
+    problemsTable.push([
+      problem.issueKey,
+      describeIssueProblem(problem.problem),
+      problem.workLogs.length,
+      problem.entries.length,
+      formatDuration(problem.totalSeconds),
+    ]);
+  });
+
+  console.log(problemsTable.toString());
+}
+
+// Problems that block a work log are red, warnings yellow
+function getProblemColor(problem) {
+  return isBlockingProblem(problem) ? chalk.red : chalk.yellow;
+}
+
+function formatIssueCell(issue) {
+  if (!issue) {
+    return chalk.gray("-");
+  }
+  if (isBlockingProblem(issue.problem)) {
+    return chalk.red(`✗ ${describeIssueProblem(issue.problem)}`);
+  }
+  if (issue.problem) {
+    return chalk.yellow(`! ${describeIssueProblem(issue.problem)}`);
+  }
+  const text = `${issue.summary} [${issue.status}]`;
+  return text.length > 27 ? text.substring(0, 27) + "..." : text;
+}
+
+function formatDifference(seconds) {
+  if (Math.round(seconds / 60) === 0) return "0m";
+  return `${seconds > 0 ? "+" : "-"}${formatDuration(Math.abs(seconds))}`;
+}
+
+// Under-booked rows are yellow, over-booked ones red
+function displayTargetReport(report) {
+  console.log("\n" + chalk.cyan.bold("Time vs target:"));
+  const table = new Table({
+    head: [
+      "Day",
+      "Jira",
+      "Non-Jira",
+      "Untagged",
+      "Total",
+      "Target",
+      "Difference",
+    ],
+    colWidths: [30, 10, 10, 10, 10, 10, 12],
+  });
+  const colors = { under: chalk.yellow, over: chalk.red, ok: chalk.green };
+
+  const pushRow = (label, row) => {
+    table.push(
+      [
+        label,
+        formatDuration(row.jiraSeconds),
+        formatDuration(row.nonJiraSeconds),
+        formatDuration(row.untaggedSeconds),
+        formatDuration(row.bookedSeconds),
+        formatDuration(row.targetSeconds),
+        formatDifference(row.differenceSeconds),
+      ].map((cell) => colors[row.status](cell))
+    );
+  };
+
+  report.weeks.forEach((week) => {
+    report.days
+      .filter((day) => day.date >= week.from && day.date <= week.to)
+      .forEach((day) => {
+        const weekday = day.weekday[0].toUpperCase() + day.weekday.slice(1);
+        const label = `${day.date} ${weekday}`;
+        pushRow(
+          day.holiday
+            ? `${label} (${day.holiday.substring(0, 11)})`
+            : label,
+          day
+        );
+      });
+    pushRow(chalk.bold(`Week ${week.from}..${week.to}`), week);
+  });
+
+  console.log(table.toString());
+}
+
 async function displaySummary(summary) {
   console.log("\n" + chalk.bold("=== SUMMARY ==="));
 
@@ -58,12 +211,77 @@ async function displaySummary(summary) {
     console.log(syncedTable.toString());
   }
 
+  // Display entries changed in Toggl after they were synced
+  if (summary.changedSinceSync && summary.changedSinceSync.length > 0) {
+    console.log("\n" + chalk.magenta.bold("Changed since sync:"));
+    const changedTable = new Table({
+      head: ["Issue Key", "Date", "Synced", "Now", "Changes", "Description"],
+      colWidths: [12, 12, 10, 10, 25, 35],
+    });
+
+    summary.changedSinceSync.forEach((item) => {
+      changedTable.push([
+        item.issueKey,
+        item.date,
+        item.previousTimeFormatted,
+        item.timeFormatted,
+        item.changes.join(", "),
+        item.description.substring(0, 32) +
+          (item.description.length > 32 ? "..." : ""),
+      ]);
+    });
+
+    console.log(changedTable.toString());
+  }
+
+  // Display running timers, which are not synced by default
+  if (summary.stillRunning && summary.stillRunning.length > 0) {
+    console.log("\n" + chalk.yellow.bold("Still running (not synced):"));
+    const runningTable = new Table({
+      head: ["Issue Key", "Started", "Elapsed", "Description"],
+      colWidths: [12, 18, 10, 50],
+    });
+
+    summary.stillRunning.forEach((item) => {
+      runningTable.push([
+        item.issueKey || "-",
+        toZone(item.startedAt).format("YYYY-MM-DD HH:mm"),
+        item.elapsedFormatted,
+        item.description.substring(0, 47) +
+          (item.description.length > 47 ? "..." : ""),
+      ]);
+    });
+
+    console.log(runningTable.toString());
+  }
+
+  // Display entries below the short entry threshold
+  if (summary.tooShort && summary.tooShort.length > 0) {
+    console.log("\n" + chalk.yellow.bold("Discarded as too short:"));
+    const tooShortTable = new Table({
+      head: ["Issue Key", "Started", "Duration", "Description"],
+      colWidths: [12, 18, 10, 50],
+    });
+
+    summary.tooShort.forEach((item) => {
+      tooShortTable.push([
+        item.issueKey || "-",
+        toZone(item.startedAt).format("YYYY-MM-DD HH:mm"),
+        item.durationFormatted,
+        item.description.substring(0, 47) +
+          (item.description.length > 47 ? "..." : ""),
+      ]);
+    });
+
+    console.log(tooShortTable.toString());
+  }
+
   // Display Jira work logs
   if (summary.jiraWorkLogs.length > 0) {
     console.log("\n" + chalk.green.bold("Work logs to be created:"));
     const jiraTable = new Table({
-      head: ["Issue Key", "Date", "Time", "Entries", "Tags", "Preview"],
-      colWidths: [12, 12, 10, 10, 30],
+      head: ["Issue Key", "Issue", "Date", "Time", "Entries", "Tags", "Preview"],
+      colWidths: [12, 30, 12, 10, 10, 30],
     });
 
     summary.jiraWorkLogs.forEach((log) => {
@@ -83,9 +301,17 @@ async function displaySummary(summary) {
       }
 
       jiraTable.push([
-        log.issueKey,
-        log.date || dayjs(log.startedAt).format("YYYY-MM-DD"),
-        log.timeSpentFormatted,
+        log.issue?.problem
+          ? getProblemColor(log.issue.problem)(log.issueKey)
+          : log.issueKey,
+        formatIssueCell(log.issue),
+        log.date || toZone(log.startedAt).format("YYYY-MM-DD"),
+        // The tracked time is shown below the rounded one when they differ
+        log.rawSeconds !== undefined && log.rawSeconds !== log.timeSpentSeconds
+          ? `${log.timeSpentFormatted}\n${chalk.gray(log.rawTimeFormatted)}`
+          : log.keptTrackedTime
+          ? `${log.timeSpentFormatted}\n${chalk.gray("not rounded")}`
+          : log.timeSpentFormatted,
         log.entryCount,
         tagsText,
         preview + moreText,
@@ -93,6 +319,33 @@ async function displaySummary(summary) {
     });
 
     console.log(jiraTable.toString());
+
+    const problems = getIssueProblems(summary);
+    if (problems.length > 0) {
+      console.log(chalk.bold("Issues that need attention:"));
+      problems.forEach((log) => {
+        const symbol = isBlockingProblem(log.issue.problem) ? "✗" : "!";
+        console.log(
+          getProblemColor(log.issue.problem)(
+            `  ${symbol} ${log.issueKey} (${log.date}): ${describeIssueProblem(log.issue.problem)}`
+          )
+        );
+      });
+    }
+
+    const mappedWorkLogs = summary.jiraWorkLogs.filter(
+      (log) => log.assignedBy && log.assignedBy.length > 0
+    );
+    if (mappedWorkLogs.length > 0) {
+      console.log(chalk.gray("Assigned by mapping rules:"));
+      mappedWorkLogs.forEach((log) => {
+        console.log(
+          chalk.gray(
+            `  ${log.issueKey} ${log.date}: ${log.assignedBy.join("; ")}`
+          )
+        );
+      });
+    }
   }
 
   // Display entries without tags
@@ -139,6 +392,10 @@ async function displaySummary(summary) {
     console.log(nonJiraTable.toString());
   }
 
+  if (summary.targetReport) {
+    displayTargetReport(summary.targetReport);
+  }
+
   // Display totals
   console.log("\n" + chalk.bold("Totals:"));
   if (summary.totals.alreadySyncedTime) {
@@ -146,36 +403,341 @@ async function displaySummary(summary) {
       `  Already synced: ${chalk.gray(summary.totals.alreadySyncedTime)}`
     );
   }
-  console.log(`  Jira time (new): ${chalk.green(summary.totals.jiraTime)}`);
+  if (summary.totals.changedTime) {
+    console.log(
+      `  Changed since sync: ${chalk.magenta(summary.totals.changedTime)}`
+    );
+  }
+  // Work logs are created with the rounded time
+  if (summary.totals.jiraRawTimeSeconds !== summary.totals.jiraTimeSeconds) {
+    console.log(
+      `  Jira time (new): ${chalk.green(
+        summary.totals.jiraTime
+      )} rounded, ${chalk.gray(summary.totals.jiraRawTime)} tracked`
+    );
+  } else {
+    console.log(`  Jira time (new): ${chalk.green(summary.totals.jiraTime)}`);
+  }
+  if (summary.totals.keptTrackedTimeCount > 0) {
+    console.log(
+      chalk.gray(
+        `  ${summary.totals.keptTrackedTimeCount} work log(s) would round to 0m and keep their tracked time instead`
+      )
+    );
+  }
   console.log(`  Non-Jira time: ${chalk.yellow(summary.totals.nonJiraTime)}`);
+  if (summary.totals.tooShortTime) {
+    console.log(
+      `  Discarded as too short: ${chalk.yellow(summary.totals.tooShortTime)}`
+    );
+  }
   console.log(`  Total time: ${chalk.cyan(summary.totals.totalTime)}`);
 }
 
+// Pushes the current Toggl state of changed entries to the work logs they
+// were originally synced to
+async function updateChangedWorkLogs(
+  changedWorkLogs,
+  syncHistory,
+  mode,
+  rounding = NO_ROUNDING
+) {
+  const results = { successful: [], failed: [] };
+  const targets = [
+    ...new Set(changedWorkLogs.map((workLog) => workLog.target || mode)),
+  ];
+
+  for (const target of targets) {
+    const client = createClient(target);
+    const workLogs = changedWorkLogs.filter(
+      (workLog) => (workLog.target || mode) === target
+    );
+    const targetRounding = getRoundingForMode(rounding, target);
+    let targetResults;
+
+    if (target === "jira") {
+      targetResults = await client.batchUpdateWorkLogs(
+        workLogs.map((workLog) => ({
+          ...formatJiraWorkLogWithBreakdown(
+            workLog.issueKey,
+            workLog.entries,
+            workLog.date,
+            targetRounding
+          ),
+          workLogId: workLog.workLogId,
+        }))
+      );
+    } else {
+      // A work log with merged short entries is based on its longest entry
+      const entries = workLogs.map((workLog) => ({
+        ...workLog.entries.reduce((longest, entry) =>
+          entry.durationSeconds > longest.durationSeconds ? entry : longest
+        ),
+        durationSeconds: workLog.totalSeconds,
+        issueKey: workLog.issueKey === "NO_ISSUE" ? null : workLog.issueKey,
+      }));
+      await client.prefetchIssueIds(entries);
+
+      const payloads = [];
+      for (const [index, entry] of entries.entries()) {
+        payloads.push({
+          ...(await client.convertParsedEntryToWorklog(entry, targetRounding)),
+          workLogId: workLogs[index].workLogId,
+        });
+      }
+      targetResults = await client.batchUpdateWorkLogs(payloads);
+    }
+
+    targetResults.successful.forEach((updated) => {
+      const workLog = workLogs.find((w) => w.workLogId === updated.workLogId);
+      syncHistory.updateSyncedEntries(workLog.entries);
+      results.successful.push(workLog);
+    });
+    targetResults.failed.forEach((failure) => {
+      const workLog = workLogs.find((w) => w.workLogId === failure.workLogId);
+      results.failed.push({
+        ...workLog,
+        error: failure.error,
+        retryable: failure.retryable,
+      });
+    });
+  }
+
+  return results;
+}
+
+// Re-sends the saved payloads of failed work logs without fetching Toggl again
+async function retryFailedWorkLogs(
+  syncResults,
+  reporter,
+  nonInteractive,
+  concurrency
+) {
+  const syncHistory = new SyncHistory();
+  const failures = syncHistory.getFailedWorkLogs();
+
+  reporter.begin({ command: "sync", retryFailed: true });
+
+  if (failures.length === 0) {
+    reporter.log(chalk.yellow("No failed work logs to retry."));
+    process.exitCode = EXIT_CODES.NOTHING_TO_DO;
+    return;
+  }
+
+  if (!reporter.isMachineReadable) {
+    console.log("\n" + chalk.red.bold("Failed work logs:"));
+    const failedTable = new Table({
+      head: ["Issue Key", "Target", "Date", "Time", "Attempts", "Error"],
+      colWidths: [12, 14, 12, 10, 10, 45],
+    });
+
+    failures.forEach((failure) => {
+      failedTable.push([
+        failure.issueKey || "-",
+        failure.target,
+        toZone(failure.entries[0].startedAt).format("YYYY-MM-DD"),
+        formatDuration(
+          failure.entries.reduce((sum, e) => sum + e.durationSeconds, 0)
+        ),
+        failure.attempts,
+        failure.error.substring(0, 42) +
+          (failure.error.length > 42 ? "..." : ""),
+      ]);
+    });
+
+    console.log(failedTable.toString());
+  }
+
+  const { confirmed } = nonInteractive
+    ? { confirmed: true }
+    : await inquirer.prompt([
+        {
+          type: "confirm",
+          name: "confirmed",
+          message: `Retry ${failures.length} failed work log(s)?`,
+          default: true,
+        },
+      ]);
+
+  if (!confirmed) {
+    reporter.log(chalk.yellow("Retry cancelled."));
+    process.exitCode = EXIT_CODES.NOTHING_TO_DO;
+    return;
+  }
+
+  const results = { successful: [], failed: [] };
+  const toResult = (failure, result) => ({
+    ...result,
+    issueKey: failure.issueKey,
+    date: failure.payload.date || failure.payload.workDate,
+    startedAt: failure.entries[0].startedAt,
+    timeSpentSeconds:
+      failure.payload.timeSpentSeconds ?? failure.payload.durationInSeconds,
+    entries: failure.entries,
+  });
+
+  for (const target of [...new Set(failures.map((f) => f.target))]) {
+    const client = createClient(target);
+    const targetFailures = failures.filter((f) => f.target === target);
+    const targetResults = await client.batchCreateWorkLogs(
+      targetFailures.map((failure) => failure.payload),
+      { concurrency }
+    );
+
+    targetResults.successful.forEach((workLog) => {
+      const failure = targetFailures[workLog.index];
+      syncHistory.markEntriesAsSynced(
+        failure.entries,
+        failure.issueKey || "NO_ISSUE",
+        workLog.workLogId,
+        target
+      );
+      results.successful.push(toResult(failure, workLog));
+    });
+
+    syncHistory.recordFailedWorkLogs(
+      targetResults.failed.map((workLog) => ({
+        ...targetFailures[workLog.index],
+        error: workLog.error,
+        retryable: workLog.retryable,
+      })),
+      target
+    );
+    targetResults.failed.forEach((workLog) => {
+      results.failed.push(toResult(targetFailures[workLog.index], workLog));
+    });
+  }
+
+  if (results.successful.length > 0) {
+    reporter.log(
+      chalk.green(
+        `✓ Successfully created ${results.successful.length} work log(s).`
+      )
+    );
+  }
+  if (results.failed.length > 0) {
+    reporter.log(
+      chalk.red(`✗ Failed to create ${results.failed.length} work log(s):`)
+    );
+    results.failed.forEach((failure) => {
+      reporter.log(chalk.red(formatFailure(failure)));
+    });
+  }
+
+  syncResults.successful.push(...results.successful);
+  syncResults.failed.push(...results.failed);
+  reporter.emit("created", serializeWorkLogResults(results));
+  process.exitCode = getSyncExitCode(syncResults);
+}
+
+// The next `sync --since-last` starts where a fully synced range ended; the
+// end of a range reaching into the future is now. Entries skipped or left
+// pending in this run make it start at the earliest of them instead.
+function recordSuccessfulSync(syncHistory, endDate, pendingEntries = []) {
+  if (
+    process.exitCode !== EXIT_CODES.SUCCESS &&
+    process.exitCode !== EXIT_CODES.NOTHING_TO_DO
+  ) {
+    return;
+  }
+
+  const rangeEnd = endOfDay(endDate);
+  syncHistory.recordSuccessfulSync(
+    rangeEnd.isAfter(new Date()) ? new Date() : rangeEnd.toDate(),
+    pendingEntries
+  );
+}
+
 async function syncCommand(options) {
+  const nonInteractive = options.yes || options.nonInteractive || false;
+  // Created and updated work logs, used for the exit code
+  const syncResults = { successful: [], failed: [] };
+  let reporter;
+
+  try {
+    reporter = createReporter(options.output);
+  } catch (error) {
+    console.error(chalk.red(error.message));
+    process.exit(EXIT_CODES.FATAL);
+  }
+
+  // Prompts would corrupt the JSON written to stdout
+  if (reporter.isMachineReadable && !nonInteractive && !options.dryRun) {
+    console.error(
+      chalk.red(
+        `--output ${reporter.format} requires --yes or --dry-run.`
+      )
+    );
+    process.exit(EXIT_CODES.FATAL);
+  }
+
   try {
-    let startDate, endDate;
+    let startDate,
+      endDate,
+      concurrency,
+      roundingRules,
+      shortEntryRules,
+      targetRules;
 
     try {
-      startDate = parseDateInput(options.from);
-      endDate = parseDateInput(options.to);
+      if (options.sinceLast && options.range) {
+        throw new Error("--since-last can't be combined with --range.");
+      }
+      ({ startDate, endDate } = options.sinceLast
+        ? resolveSinceLastRange(new SyncHistory().getLastSuccessfulSync(), options)
+        : resolveDateRange(options));
+      concurrency = parseConcurrency(options.concurrency);
+      roundingRules = createRoundingRules(config.rounding);
+      shortEntryRules = createShortEntryRules(config.shortEntries);
+      targetRules = createTargetRules(config.targets);
     } catch (error) {
       console.error(chalk.red(error.message));
-      process.exit(1);
+      reporter.end({ exitCode: EXIT_CODES.FATAL, error: error.message });
+      process.exit(EXIT_CODES.FATAL);
     }
 
     const useJira = options.jira || false;
     const mode = useJira ? "jira" : "timetracker";
+    const rounding = getRoundingForMode(roundingRules, mode);
+    const targets = targetRules && {
+      rules: targetRules,
+      from: startDate,
+      to: endDate,
+    };
 
     validateConfig(mode);
 
-    if (!startDate.isValid() || !endDate.isValid()) {
+    // Prompts would wait forever for input that never comes
+    if (!nonInteractive && !options.dryRun && !process.stdin.isTTY) {
       console.error(
-        chalk.red("Invalid date format. Please use YYYY-MM-DD format or number of days ago (e.g., 7).")
+        chalk.red(
+          "Standard input is not a terminal. Use --yes to sync without prompts."
+        )
       );
-      process.exit(1);
+      process.exit(EXIT_CODES.FATAL);
     }
 
-    console.log(
+    if (options.retryFailed) {
+      await retryFailedWorkLogs(
+        syncResults,
+        reporter,
+        nonInteractive,
+        concurrency
+      );
+      return;
+    }
+
+    reporter.begin({
+      command: "sync",
+      mode,
+      dryRun: !!options.dryRun,
+      range: {
+        from: startDate.format("YYYY-MM-DD"),
+        to: endDate.format("YYYY-MM-DD"),
+      },
+    });
+
+    reporter.log(
       chalk.cyan(
         `Fetching time entries from ${startDate.format(
           "YYYY-MM-DD"
@@ -188,33 +750,155 @@ async function syncCommand(options) {
     const timeEntries = await togglClient.getTimeEntries(startDate, endDate);
 
     if (timeEntries.length === 0) {
-      console.log(
+      reporter.log(
         chalk.yellow("No time entries found for the specified period.")
       );
+      // An empty period is the most under-booked one
+      if (targets) {
+        const summary = prepareSummaryData({}, [], [], {}, [], [], {
+          rounding,
+          targets,
+        });
+        if (!reporter.isMachineReadable) {
+          displayTargetReport(summary.targetReport);
+        }
+        reporter.emit("summary", serializeSummary(summary));
+      }
+      process.exitCode = EXIT_CODES.NOTHING_TO_DO;
+      if (!options.dryRun) {
+        recordSuccessfulSync(new SyncHistory(), endDate);
+      }
       return;
     }
 
-    console.log(chalk.green(`Found ${timeEntries.length} time entries.`));
-    console.log(chalk.blue(`Using ${mode} mode for sync.`));
+    reporter.log(chalk.green(`Found ${timeEntries.length} time entries.`));
+    reporter.log(chalk.blue(`Using ${mode} mode for sync.`));
 
     // Initialize sync history
     const syncHistory = new SyncHistory();
 
     // Parse entries
-    const parsedEntries = timeEntries.map(parseTimeEntry);
+    const issueKeyRules = createIssueKeyRules(config.issueKeys);
+    const issueMappings = new IssueMappings();
+    const parsedEntries = timeEntries.map((entry) =>
+      parseTimeEntry(entry, issueKeyRules, issueMappings)
+    );
+    const mappedCount = parsedEntries.filter(
+      (e) => e.issueKeySource === "mapping"
+    ).length;
+
+    if (mappedCount > 0) {
+      reporter.log(
+        chalk.gray(`${mappedCount} entries assigned by issue mapping rules.`)
+      );
+    }
+
+    // Entries of the range that are still to be synced after this run
+    const pendingEntries = [];
+
+    // Running timers have no final duration; they are synced up to now only on request
+    const runningEntries = options.includeRunning
+      ? []
+      : parsedEntries.filter((e) => e.isRunning);
+    const entriesToSync = splitEntriesAtMidnight(
+      options.includeRunning
+        ? parsedEntries.map((e) => (e.isRunning ? withElapsedDuration(e) : e))
+        : parsedEntries.filter((e) => !e.isRunning),
+      {
+        enabled: config.splitAtMidnight,
+        isSynced: (id) => syncHistory.isEntrySynced(id),
+      }
+    );
+
+    // Provisional work logs of running timers are updated once they stop
+    pendingEntries.push(...parsedEntries.filter((e) => e.isRunning));
+
+    if (runningEntries.length > 0) {
+      reporter.log(
+        chalk.yellow(
+          `${runningEntries.length} running timer(s) will be skipped. Use --include-running to sync them up to now.`
+        )
+      );
+    }
 
     // Filter out already synced entries
-    const { synced: alreadySyncedEntries, unsynced: unsyncedEntries } =
-      syncHistory.filterUnsyncedEntries(parsedEntries);
+    const {
+      synced: alreadySyncedEntries,
+      unsynced,
+      changed: changedEntries,
+    } = syncHistory.filterUnsyncedEntries(entriesToSync);
+    let unsyncedEntries = unsynced;
+
+    // Catch work logs created from another machine or before history was lost
+    if (options.remoteDedup) {
+      reporter.log(chalk.cyan("Checking Jira for existing work logs..."));
+      const duplicates = await findRemoteDuplicates(
+        new JiraClient(),
+        unsyncedEntries.filter((e) => e.hasJiraIssue),
+        mode,
+        { rounding }
+      );
+      const duplicateIds = new Set();
+
+      duplicates.forEach((duplicate) => {
+        // The matched id is a Jira work log id in both modes
+        if (!options.dryRun) {
+          syncHistory.markEntriesAsSynced(
+            duplicate.entries,
+            duplicate.issueKey,
+            duplicate.workLog.id,
+            "jira"
+          );
+        }
+
+        duplicate.entries.forEach((entry) => {
+          duplicateIds.add(entry.id);
+          alreadySyncedEntries.push({
+            ...entry,
+            syncInfo: {
+              jiraIssueKey: duplicate.issueKey,
+              jiraWorkLogId: duplicate.workLog.id,
+              target: "jira",
+            },
+          });
+        });
+      });
+
+      if (duplicateIds.size > 0) {
+        unsyncedEntries = unsyncedEntries.filter(
+          (e) => !duplicateIds.has(e.id)
+        );
+        reporter.log(
+          chalk.gray(
+            `${duplicateIds.size} entries already have work logs in Jira and will be ignored.`
+          )
+        );
+      }
+    }
 
     if (alreadySyncedEntries.length > 0) {
-      console.log(
+      reporter.log(
         chalk.gray(
           `${alreadySyncedEntries.length} entries already synced and will be ignored.`
         )
       );
     }
 
+    const {
+      entries: longEnoughEntries,
+      merged: mergedShortEntries,
+      discarded: tooShortEntries,
+    } = separateShortEntries(unsyncedEntries, shortEntryRules);
+    unsyncedEntries = longEnoughEntries;
+
+    if (mergedShortEntries.length > 0) {
+      reporter.log(
+        chalk.gray(
+          `${mergedShortEntries.length} short entries merged into an entry of the same issue.`
+        )
+      );
+    }
+
     // Separate unsynced entries
     const jiraEntries = unsyncedEntries.filter((e) => e.hasJiraIssue);
     const nonJiraEntries = unsyncedEntries.filter((e) => !e.hasJiraIssue);
@@ -226,18 +910,60 @@ async function syncCommand(options) {
       groupEntriesByDescription(entriesWithoutTags);
     const groupedAlreadySynced =
       syncHistory.groupSyncedEntriesByIssue(alreadySyncedEntries);
+    const changedWorkLogs = syncHistory.groupChangedEntriesByWorkLog(
+      changedEntries,
+      alreadySyncedEntries
+    );
+
+    if (changedEntries.length > 0) {
+      reporter.log(
+        chalk.magenta(
+          `${changedEntries.length} synced entries were changed in Toggl since they were synced.`
+        )
+      );
+    }
+
+    // Assigned groups leave the "without Jira issue keys" section
+    let summaryNonJiraEntries = groupedNonJiraEntries;
 
     // Prepare summary
     let summary = prepareSummaryData(
       groupedJiraEntries,
-      groupedNonJiraEntries,
+      summaryNonJiraEntries,
       groupedEntriesWithoutTags,
-      groupedAlreadySynced
+      groupedAlreadySynced,
+      changedWorkLogs,
+      runningEntries,
+      { rounding, tooShortEntries, targets }
     );
 
+    // Catches mistyped and locked issues before anything is posted and warns about closed ones
+    const issueDetails = new Map();
+    // Keys that failed to be looked up are tried again on the next call
+    let issueLookupError = null;
+    const lookUpIssues = async (workLogs) => {
+      const keys = workLogs
+        .map((log) => log.issueKey)
+        .filter((key) => !issueDetails.has(key));
+      try {
+        (await checkIssueKeys(new JiraClient(), keys)).forEach(
+          (details, key) => issueDetails.set(key, details)
+        );
+        issueLookupError = null;
+      } catch (error) {
+        issueLookupError = error;
+        reporter.log(
+          chalk.yellow(`Could not look up Jira issues: ${error.message}`)
+        );
+      }
+    };
+
+    await lookUpIssues(summary.jiraWorkLogs);
+    attachIssueDetails(summary, issueDetails);
+
     // Log entries without tags
     if (entriesWithoutTags.length > 0) {
-      console.log(
+      reporter.log(
         chalk.red(
           `${entriesWithoutTags.length} time entries without tags will be ignored.`
         )
@@ -245,7 +971,9 @@ async function syncCommand(options) {
     }
 
     // Display summary
-    await displaySummary(summary);
+    if (!reporter.isMachineReadable) {
+      await displaySummary(summary);
+    }
 
     // Initialize appropriate client based on mode
     let client;
@@ -257,7 +985,7 @@ async function syncCommand(options) {
             "Jira configuration is missing. Please set JIRA_API_TOKEN, JIRA_EMAIL, and JIRA_DOMAIN."
           )
         );
-        process.exit(1);
+        process.exit(EXIT_CODES.FATAL);
       }
       client = new JiraClient();
     } else {
@@ -265,92 +993,311 @@ async function syncCommand(options) {
     }
 
     // Handle unassigned entries if any exist (only for Jira mode)
-    if (useJira && groupedNonJiraEntries.length > 0 && !options.dryRun) {
+    if (
+      useJira &&
+      groupedNonJiraEntries.length > 0 &&
+      !options.dryRun &&
+      nonInteractive
+    ) {
+      reporter.log(
+        chalk.yellow(
+          `${groupedNonJiraEntries.length} group(s) of entries without Jira issue keys skipped (non-interactive mode).`
+        )
+      );
+    } else if (useJira && groupedNonJiraEntries.length > 0 && !options.dryRun) {
       // Prompt for assignments
       const assignments = await promptForJiraAssignment(
         groupedNonJiraEntries,
-        client
+        client,
+        { issueMappings }
       );
 
       if (assignments.length > 0) {
         // Convert assignments to Jira entries and merge with existing
         const assignedJiraEntries = convertUnassignedToJiraEntries(assignments);
-        Object.assign(groupedJiraEntries, assignedJiraEntries);
+        mergeEntryGroups(groupedJiraEntries, assignedJiraEntries);
+        summaryNonJiraEntries = getUnassignedGroups(
+          groupedNonJiraEntries,
+          assignments
+        );
 
         // Recalculate summary with newly assigned entries
         summary = prepareSummaryData(
           groupedJiraEntries,
-          [],
-          groupedAlreadySynced
+          summaryNonJiraEntries,
+          groupedEntriesWithoutTags,
+          groupedAlreadySynced,
+          changedWorkLogs,
+          runningEntries,
+          { rounding, tooShortEntries, targets }
         );
+        await lookUpIssues(summary.jiraWorkLogs);
+        attachIssueDetails(summary, issueDetails);
 
         // Display updated summary
-        console.log("\n" + chalk.bold("=== UPDATED SUMMARY ==="));
+        reporter.log("\n" + chalk.bold("=== UPDATED SUMMARY ==="));
         await displaySummary(summary);
       }
     }
 
-    if (summary.jiraWorkLogs.length === 0) {
-      console.log(
-        `\n${chalk.yellow(`No ${mode.toLowerCase()} work logs to create.`)}`
-      );
-      return;
-    }
+    // Work logs on issues that can't take them are never posted
+    let issueProblems = groupIssueProblems(summary);
+    while (issueProblems.length > 0 && !options.dryRun) {
+      if (!reporter.isMachineReadable) {
+        displayIssueProblems(issueProblems);
+      }
 
-    if (options.dryRun) {
-      console.log(
-        "\n" + chalk.yellow("Dry run mode - no work logs will be created.")
-      );
-      return;
-    }
+      if (nonInteractive) {
+        const skipped = issueProblems.flatMap((problem) =>
+          problem.workLogs.map((log) => ({
+            ...log,
+            error: `${log.issueKey} ${describeIssueProblem(problem.problem)}`,
+            retryable: false,
+          }))
+        );
+        reporter.log(
+          chalk.yellow(
+            `${skipped.length} work log(s) on invalid issues skipped (non-interactive mode).`
+          )
+        );
+        syncResults.failed.push(...skipped);
+        reporter.emit(
+          "skipped",
+          serializeWorkLogResults({ successful: [], failed: skipped })
+        );
+        issueProblems.forEach((problem) =>
+          removeIssueGroups(groupedJiraEntries, problem.issueKey)
+        );
+      } else {
+        const { aborted, reassignments, skipped } = await resolveIssueProblems(
+          issueProblems,
+          new JiraClient()
+        );
 
-    // Ask for confirmation
-    const workLogCount = useJira
-      ? summary.jiraWorkLogs.length
-      : summary.jiraWorkLogs.reduce((sum, log) => sum + log.entryCount, 0);
+        if (aborted) {
+          reporter.log(chalk.yellow("Sync aborted."));
+          process.exitCode = getSyncExitCode(syncResults);
+          return;
+        }
 
-    const { confirmed } = await inquirer.prompt([
-      {
-        type: "confirm",
-        name: "confirmed",
-        message: `Create ${workLogCount} work log(s) in ${mode}?`,
-        default: false,
-      },
-    ]);
+        pendingEntries.push(
+          ...Object.values(groupedJiraEntries)
+            .filter((group) => skipped.includes(group.issueKey))
+            .flatMap((group) => group.entries)
+        );
+        [...skipped, ...reassignments.map((r) => r.previousIssueKey)].forEach(
+          (issueKey) => removeIssueGroups(groupedJiraEntries, issueKey)
+        );
+        mergeEntryGroups(
+          groupedJiraEntries,
+          convertUnassignedToJiraEntries(reassignments)
+        );
+      }
 
-    if (!confirmed) {
-      console.log(chalk.yellow("Sync cancelled."));
-      return;
+      summary = prepareSummaryData(
+        groupedJiraEntries,
+        summaryNonJiraEntries,
+        groupedEntriesWithoutTags,
+        groupedAlreadySynced,
+        changedWorkLogs,
+        runningEntries,
+        { rounding, tooShortEntries, targets }
+      );
+      await lookUpIssues(summary.jiraWorkLogs);
+      attachIssueDetails(summary, issueDetails);
+      issueProblems = groupIssueProblems(summary);
+
+      reporter.log("\n" + chalk.bold("=== UPDATED SUMMARY ==="));
+      if (!reporter.isMachineReadable) {
+        await displaySummary(summary);
+      }
     }
 
-    console.log(`\n${chalk.cyan(`Creating work logs in ${mode}...`)}`);
+    reporter.emit("summary", serializeSummary(summary));
 
-    let results;
-    let allParsedEntries = [];
+    // Nothing is posted to issues that weren't validated unless the user says so
+    if (issueLookupError && !options.dryRun) {
+      const message = `Issue keys could not be validated: ${issueLookupError.message}`;
+      if (nonInteractive) {
+        throw new Error(message);
+      }
+
+      const { proceed } = await inquirer.prompt([
+        {
+          type: "confirm",
+          name: "proceed",
+          message: `${message}. Continue without validating them?`,
+          default: false,
+        },
+      ]);
+
+      if (!proceed) {
+        reporter.log(chalk.yellow("Sync aborted."));
+        process.exitCode = getSyncExitCode(syncResults);
+        return;
+      }
+    }
+
+    if (changedWorkLogs.length > 0 && !options.dryRun) {
+      const { updateChanged } = nonInteractive
+        ? { updateChanged: true }
+        : await inquirer.prompt([
+            {
+              type: "confirm",
+              name: "updateChanged",
+              message: `Update ${changedWorkLogs.length} work log(s) changed in Toggl since they were synced?`,
+              default: false,
+            },
+          ]);
+
+      if (!updateChanged) {
+        pendingEntries.push(
+          ...changedWorkLogs.flatMap((workLog) => workLog.changedEntries)
+        );
+      }
+
+      if (updateChanged) {
+        const updateResults = await updateChangedWorkLogs(
+          changedWorkLogs,
+          syncHistory,
+          mode,
+          roundingRules
+        );
+        syncResults.successful.push(...updateResults.successful);
+        syncResults.failed.push(...updateResults.failed);
+        reporter.emit("updated", serializeWorkLogResults(updateResults));
+
+        if (updateResults.successful.length > 0) {
+          reporter.log(
+            chalk.green(
+              `✓ Updated ${updateResults.successful.length} work log(s).`
+            )
+          );
+        }
+        if (updateResults.failed.length > 0) {
+          reporter.log(
+            chalk.red(
+              `✗ Failed to update ${updateResults.failed.length} work log(s):`
+            )
+          );
+          updateResults.failed.forEach((failure) => {
+            reporter.log(chalk.red(formatFailure(failure)));
+          });
+        }
+      }
+    }
+
+    if (summary.jiraWorkLogs.length === 0) {
+      reporter.log(
+        `\n${chalk.yellow(`No ${mode.toLowerCase()} work logs to create.`)}`
+      );
+      process.exitCode = getSyncExitCode(syncResults);
+      if (!options.dryRun) {
+        recordSuccessfulSync(syncHistory, endDate, pendingEntries);
+      }
+      return;
+    }
+
+    if (options.dryRun) {
+      reporter.log(
+        "\n" + chalk.yellow("Dry run mode - no work logs will be created.")
+      );
+      return;
+    }
+
+    // Ask for confirmation
+    const workLogCount = useJira
+      ? summary.jiraWorkLogs.length
+      : summary.jiraWorkLogs.reduce(
+          (sum, log) => sum + combineMergedEntries(log.entries).length,
+          0
+        );
+
+    const { confirmed } = nonInteractive
+      ? { confirmed: true }
+      : await inquirer.prompt([
+          {
+            type: "confirm",
+            name: "confirmed",
+            message: `Create ${workLogCount} work log(s) in ${mode}?`,
+            default: false,
+          },
+        ]);
+
+    if (!confirmed) {
+      reporter.log(chalk.yellow("Sync cancelled."));
+      process.exitCode = getSyncExitCode(syncResults);
+      return;
+    }
+
+    reporter.log(`\n${chalk.cyan(`Creating work logs in ${mode}...`)}`);
+
+    let results;
+    let payloads;
+    let allParsedEntries = [];
+    let workLogSources = [];
 
     if (useJira) {
       const jiraWorklogs = summary.jiraWorkLogs.map(worklog =>
-        formatJiraWorkLogWithBreakdown(worklog.issueKey, worklog.entries, worklog.date)
+        formatJiraWorkLogWithBreakdown(
+          worklog.issueKey,
+          worklog.entries,
+          worklog.date,
+          rounding
+        )
       );
-      results = await client.batchCreateWorkLogs(jiraWorklogs);
+      payloads = jiraWorklogs.map(
+        ({ issueKey, date, timeSpentSeconds, startedAt, comment }) => ({
+          issueKey,
+          date,
+          timeSpentSeconds,
+          startedAt,
+          comment,
+        })
+      );
+      results = await client.batchCreateWorkLogs(jiraWorklogs, {
+        concurrency,
+      });
     } else {
       for (const workLog of summary.jiraWorkLogs) {
         allParsedEntries.push(...workLog.entries);
       }
 
       await client.prefetchIssueIds(allParsedEntries);
+      workLogSources = combineMergedEntries(allParsedEntries);
 
-      const timetrackerWorkLogs = [];
-      for (const entry of allParsedEntries) {
-        const timetrackerWorkLog = await client.convertParsedEntryToWorklog(entry);
-        timetrackerWorkLogs.push(timetrackerWorkLog);
-      }
-      results = await client.batchCreateWorkLogs(timetrackerWorkLogs);
+      const timetrackerWorkLogs = await mapWithConcurrency(
+        workLogSources,
+        concurrency,
+        (source) => client.convertParsedEntryToWorklog(source.entry, rounding)
+      );
+      payloads = timetrackerWorkLogs;
+      const timetrackerResults = await client.batchCreateWorkLogs(
+        timetrackerWorkLogs,
+        { concurrency }
+      );
+
+      // Attach the source entry so results read the same in both modes
+      const withEntry = (workLog) => {
+        const { entry, entries } = workLogSources[workLog.index];
+        return {
+          ...workLog,
+          issueKey: entry.issueKey,
+          date: workLog.workDate,
+          startedAt: entry.startedAt,
+          timeSpentSeconds: workLog.durationInSeconds,
+          entries,
+        };
+      };
+      results = {
+        successful: timetrackerResults.successful.map(withEntry),
+        failed: timetrackerResults.failed.map(withEntry),
+      };
     }
 
     // Display results
     if (results.successful.length > 0) {
-      console.log(
+      reporter.log(
         chalk.green(
           `✓ Successfully created ${results.successful.length} work log(s).`
         )
@@ -364,37 +1311,60 @@ async function syncCommand(options) {
             syncHistory.markEntriesAsSynced(
               groupedJiraEntries[groupKey].entries,
               workLog.issueKey,
-              workLog.workLogId
+              workLog.workLogId,
+              mode
             );
           }
         });
       } else {
-        results.successful.forEach((workLog, index) => {
-          if (allParsedEntries[index]) {
-            const entry = allParsedEntries[index];
-            syncHistory.markEntriesAsSynced(
-              [entry],
-              entry.issueKey || 'NO_ISSUE',
-              workLog.workLogId
-            );
-          }
+        // Merged short entries are recorded with the work log of their host
+        results.successful.forEach((workLog) => {
+          syncHistory.markEntriesAsSynced(
+            workLog.entries,
+            workLog.issueKey || 'NO_ISSUE',
+            workLog.workLogId,
+            mode
+          );
         });
       }
 
-      console.log(chalk.gray("Sync history updated."));
+      reporter.log(chalk.gray("Sync history updated."));
     }
 
     if (results.failed.length > 0) {
-      console.log(
+      reporter.log(
         chalk.red(`✗ Failed to create ${results.failed.length} work log(s):`)
       );
       results.failed.forEach((failure) => {
-        console.log(chalk.red(`  - ${failure.issueKey}: ${failure.error}`));
+        reporter.log(chalk.red(formatFailure(failure)));
       });
+
+      syncHistory.recordFailedWorkLogs(
+        results.failed.map((failure) => ({
+          payload: payloads[failure.index],
+          entries: failure.entries,
+          issueKey: failure.issueKey,
+          error: failure.error,
+          retryable: failure.retryable,
+        })),
+        mode
+      );
+      reporter.log(
+        chalk.gray("Failed work logs saved. Run `sync --retry-failed` to retry them.")
+      );
     }
+
+    syncResults.successful.push(...results.successful);
+    syncResults.failed.push(...results.failed);
+    reporter.emit("created", serializeWorkLogResults(results));
+    process.exitCode = getSyncExitCode(syncResults);
+    recordSuccessfulSync(syncHistory, endDate, pendingEntries);
   } catch (error) {
     console.error(chalk.red("Error:"), error.message);
-    process.exit(1);
+    reporter.end({ exitCode: EXIT_CODES.FATAL, error: error.message });
+    process.exit(EXIT_CODES.FATAL);
+  } finally {
+    reporter.end({ exitCode: process.exitCode ?? EXIT_CODES.SUCCESS });
   }
 }
 
@@ -426,6 +1396,46 @@ async function configCommand() {
   );
   console.log(`  Email: ${config.jira.email || "Not set"}`);
   console.log(`  Domain: ${config.jira.domain || "Not set"}`);
+  console.log(`\nTimezone: ${config.timezone}`);
+  console.log(
+    `Split entries at midnight: ${config.splitAtMidnight ? "Yes" : "No"}`
+  );
+  console.log(`Since-last overlap: ${config.sinceLastOverlapDays} day(s)`);
+  console.log("\nIssue keys:");
+  console.log(
+    `  Projects: ${config.issueKeys.projects.join(", ") || "Any"}`
+  );
+  console.log(
+    `  Sources: ${config.issueKeys.sources.join(", ") || "description"}`
+  );
+  try {
+    console.log(
+      `  Patterns: ${config.issueKeys.patterns.join(", ") || "Default"}`
+    );
+  } catch (error) {
+    console.log(chalk.red(`  Patterns: ${error.message}`));
+  }
+  console.log("\nRounding:");
+  console.log(`  Mode: ${config.rounding.mode}`);
+  console.log(`  Step: ${config.rounding.minutes} minutes`);
+  console.log(`  Minimum: ${config.rounding.minimumMinutes} minutes`);
+  console.log(`  Scope: ${config.rounding.scope}`);
+  console.log("\nShort entries:");
+  console.log(
+    `  Threshold: ${config.shortEntries.minimumSeconds || "Off"}${
+      config.shortEntries.minimumSeconds ? " seconds" : ""
+    }`
+  );
+  console.log(`  Action: ${config.shortEntries.action}`);
+  console.log("\nTarget hours:");
+  console.log(`  Per day: ${config.targets.hoursPerDay || "Not set"}`);
+  console.log(`  Per week: ${config.targets.hoursPerWeek || "Not set"}`);
+  console.log(
+    `  Work days: ${
+      config.targets.workDays.join(", ") || "mon, tue, wed, thu, fri"
+    }`
+  );
+  console.log(`  Holidays file: ${config.targets.holidaysFile}`);
 
   console.log("\n" + chalk.yellow("Configuration methods:"));
   console.log("1. Create a .env file in your current directory");
@@ -459,10 +1469,26 @@ TIMETRACKER_JIRA_API_TOKEN=your_timetracker_api_token_here`)
   }
 }
 
-async function historyViewCommand() {
+async function historyViewCommand(options) {
+  let reporter;
+
+  try {
+    reporter = createReporter(options.output);
+  } catch (error) {
+    console.error(chalk.red(error.message));
+    process.exit(EXIT_CODES.FATAL);
+  }
+
   const syncHistory = new SyncHistory();
   const stats = syncHistory.getStats();
 
+  if (reporter.isMachineReadable) {
+    reporter.begin({ command: "history:view" });
+    reporter.emit("stats", stats);
+    reporter.end();
+    return;
+  }
+
   if (stats.totalEntries === 0) {
     console.log(chalk.yellow("No sync history found."));
     return;
@@ -472,6 +1498,13 @@ async function historyViewCommand() {
   console.log(`  Total synced entries: ${stats.totalEntries}`);
   console.log(`  Total synced time: ${formatDuration(stats.totalSeconds)}`);
   console.log(`  Unique Jira issues: ${stats.uniqueIssues}`);
+  if (stats.lastSuccessfulSync) {
+    console.log(
+      `  Last successful sync up to: ${toZone(
+        stats.lastSuccessfulSync.to
+      ).format("YYYY-MM-DD HH:mm")}`
+    );
+  }
 
   if (stats.issues.length > 0) {
     console.log("\n" + chalk.cyan("Synced issues:"));
@@ -481,6 +1514,436 @@ async function historyViewCommand() {
   }
 }
 
+function formatFailure(failure) {
+  return `  - ${failure.issueKey}: ${failure.error}${
+    failure.retryable ? " (temporary, safe to retry)" : ""
+  }`;
+}
+
+function createClient(mode) {
+  validateConfig(mode);
+  return mode === "jira" ? new JiraClient() : new TimetrackerClient();
+}
+
+function displayWorkLogsTable(workLogs) {
+  const table = new Table({
+    head: ["Issue Key", "Work Log ID", "Target", "Time", "Entries", "Started"],
+    colWidths: [15, 15, 14, 10, 10, 20],
+  });
+
+  workLogs.forEach((workLog) => {
+    const firstStart = workLog.records
+      .map((record) => record.startedAt)
+      .sort()[0];
+
+    table.push([
+      workLog.issueKey,
+      workLog.workLogId,
+      workLog.target,
+      formatDuration(workLog.totalSeconds),
+      workLog.records.length,
+      toZone(firstStart).format("YYYY-MM-DD HH:mm"),
+    ]);
+  });
+
+  console.log(table.toString());
+}
+
+// Deletes remote work logs and prunes history only for the ones that were
+// actually removed
+async function deleteSyncedWorkLogs(workLogs, syncHistory) {
+  const clients = {};
+  const results = { successful: [], failed: [] };
+
+  for (const target of [...new Set(workLogs.map((w) => w.target))]) {
+    clients[target] = createClient(target);
+    const targetResults = await clients[target].batchDeleteWorkLogs(
+      workLogs.filter((w) => w.target === target)
+    );
+    results.successful.push(...targetResults.successful);
+    results.failed.push(...targetResults.failed);
+  }
+
+  if (results.successful.length > 0) {
+    syncHistory.removeEntries(
+      results.successful.flatMap((w) => w.records.map(getRecordEntryId))
+    );
+  }
+
+  return results;
+}
+
+async function historyRevertCommand(options) {
+  const syncHistory = new SyncHistory();
+  const defaultTarget = options.jira ? "jira" : "timetracker";
+
+  if (syncHistory.getStats().totalEntries === 0) {
+    console.log(chalk.yellow("No sync history found."));
+    return;
+  }
+
+  let records;
+
+  try {
+    if (options.run || options.from || options.to || options.issue) {
+      const { startDate, endDate } = resolveOpenDateRange(options);
+      records = syncHistory.findEntries({
+        runId: options.run,
+        from: startDate && startDate.startOf("day"),
+        to: endDate && endDate.endOf("day"),
+        issueKey: options.issue && options.issue.toUpperCase(),
+      });
+    } else {
+      const runs = syncHistory.getSyncRuns();
+      const { runId } = await inquirer.prompt([
+        {
+          type: "list",
+          name: "runId",
+          message: "Which sync run would you like to revert?",
+          choices: runs.slice(0, 20).map((run) => ({
+            name: `${toZone(run.syncedAt).format("YYYY-MM-DD HH:mm")} - ${
+              run.records.length
+            } entries, ${formatDuration(run.totalSeconds)} (${run.issueKeys
+              .slice(0, 3)
+              .join(", ")}${run.issueKeys.length > 3 ? ", ..." : ""})`,
+            value: run.runId,
+          })),
+        },
+      ]);
+      records = syncHistory.findEntries({ runId });
+    }
+  } catch (error) {
+    console.error(chalk.red(error.message));
+    process.exit(1);
+  }
+
+  if (records.length === 0) {
+    console.log(chalk.yellow("No synced entries match the given criteria."));
+    return;
+  }
+
+  const expandedRecords = syncHistory.expandToWorkLogs(records);
+  if (expandedRecords.length > records.length) {
+    console.log(
+      chalk.yellow(
+        `${
+          expandedRecords.length - records.length
+        } more entries share a work log with the selection and will be reverted too.`
+      )
+    );
+  }
+
+  const workLogs = syncHistory
+    .groupEntriesByWorkLog(expandedRecords)
+    .map((workLog) => ({
+      ...workLog,
+      target: workLog.target || defaultTarget,
+    }));
+
+  console.log("\n" + chalk.bold("Work logs to be deleted:"));
+  displayWorkLogsTable(workLogs);
+
+  const { confirmed } = await inquirer.prompt([
+    {
+      type: "confirm",
+      name: "confirmed",
+      message: `Delete ${workLogs.length} work log(s)?`,
+      default: false,
+    },
+  ]);
+
+  if (!confirmed) {
+    console.log(chalk.yellow("Revert cancelled."));
+    return;
+  }
+
+  try {
+    const results = await deleteSyncedWorkLogs(workLogs, syncHistory);
+
+    if (results.successful.length > 0) {
+      console.log(
+        chalk.green(
+          `✓ Deleted ${results.successful.length} work log(s) and removed them from sync history.`
+        )
+      );
+    }
+
+    if (results.failed.length > 0) {
+      console.log(
+        chalk.red(`✗ Failed to delete ${results.failed.length} work log(s):`)
+      );
+      results.failed.forEach((failure) => {
+        console.log(chalk.red(formatFailure(failure)));
+      });
+    }
+  } catch (error) {
+    console.error(chalk.red("Error:"), error.message);
+    process.exit(1);
+  }
+}
+
+async function historyOrphansCommand(options) {
+  const defaultTarget = options.jira ? "jira" : "timetracker";
+  let startDate, endDate;
+
+  try {
+    const range = resolveDateRange(options);
+    startDate = range.startDate;
+    endDate = range.endDate.endOf("day");
+    validateConfig(defaultTarget);
+  } catch (error) {
+    console.error(chalk.red(error.message));
+    process.exit(1);
+  }
+
+  try {
+    console.log(
+      chalk.cyan(
+        `Checking synced entries from ${startDate.format(
+          "YYYY-MM-DD"
+        )} to ${endDate.format("YYYY-MM-DD")} against Toggl...`
+      )
+    );
+
+    const togglClient = new TogglClient();
+    const timeEntries = await togglClient.getTimeEntries(startDate, endDate);
+    const syncHistory = new SyncHistory();
+
+    const orphans = syncHistory.findOrphanedEntries(timeEntries, {
+      from: startDate,
+      to: endDate,
+    });
+
+    if (orphans.length === 0) {
+      console.log(chalk.green("No synced entries were deleted in Toggl."));
+      return;
+    }
+
+    console.log(
+      chalk.yellow(
+        `${orphans.length} synced entries no longer exist in Toggl:`
+      )
+    );
+    const orphansTable = new Table({
+      head: ["Toggl ID", "Issue Key", "Started", "Time", "Description"],
+      colWidths: [14, 12, 20, 10, 40],
+    });
+    orphans.forEach((record) => {
+      orphansTable.push([
+        record.togglId,
+        record.jiraIssueKey,
+        toZone(record.startedAt).format("YYYY-MM-DD HH:mm"),
+        formatDuration(record.durationSeconds),
+        (record.description || "").substring(0, 37) +
+          ((record.description || "").length > 37 ? "..." : ""),
+      ]);
+    });
+    console.log(orphansTable.toString());
+
+    const { removeOrphans } = await inquirer.prompt([
+      {
+        type: "confirm",
+        name: "removeOrphans",
+        message:
+          "Remove their work logs and prune them from sync history?",
+        default: false,
+      },
+    ]);
+
+    if (!removeOrphans) {
+      console.log(chalk.yellow("Orphaned entries kept."));
+      return;
+    }
+
+    // Work logs shared with entries that still exist are recomputed from the
+    // remaining entries instead of being deleted
+    const orphanIds = new Set(orphans.map((record) => String(record.togglId)));
+    const issueKeyRules = createIssueKeyRules(config.issueKeys);
+    // Records of split entries are looked up by their part id
+    const currentEntries = new Map(
+      timeEntries
+        .map((entry) => parseTimeEntry(entry, issueKeyRules))
+        .flatMap((entry) => [
+          entry,
+          ...splitAtMidnight(entry).filter((part) => part.part),
+        ])
+        .map((entry) => [String(entry.id), entry])
+    );
+    const workLogsToDelete = [];
+    const workLogsToUpdate = [];
+
+    syncHistory
+      .groupEntriesByWorkLog(syncHistory.expandToWorkLogs(orphans))
+      .forEach((workLog) => {
+        const target = workLog.target || defaultTarget;
+        const remaining = workLog.records.filter(
+          (record) =>
+            !orphanIds.has(String(record.togglId)) &&
+            currentEntries.has(String(getRecordEntryId(record)))
+        );
+
+        if (remaining.length === 0) {
+          workLogsToDelete.push({ ...workLog, target });
+          return;
+        }
+
+        const entries = remaining
+          .map((record) => currentEntries.get(String(getRecordEntryId(record))))
+          .sort((a, b) => new Date(a.startedAt) - new Date(b.startedAt));
+        workLogsToUpdate.push({
+          ...workLog,
+          target,
+          entries,
+          date: getLocalDate(entries[0].startedAt),
+          orphans: workLog.records.filter((record) =>
+            orphanIds.has(String(record.togglId))
+          ),
+        });
+      });
+
+    const deleteResults = await deleteSyncedWorkLogs(
+      workLogsToDelete,
+      syncHistory
+    );
+    const updateResults = await updateChangedWorkLogs(
+      workLogsToUpdate,
+      syncHistory,
+      defaultTarget,
+      createRoundingRules(config.rounding)
+    );
+    syncHistory.removeEntries(
+      updateResults.successful.flatMap((workLog) =>
+        workLog.orphans.map(getRecordEntryId)
+      )
+    );
+
+    const removedCount =
+      deleteResults.successful.length + updateResults.successful.length;
+    if (removedCount > 0) {
+      console.log(
+        chalk.green(
+          `✓ Deleted ${deleteResults.successful.length} and updated ${updateResults.successful.length} work log(s); orphaned entries pruned from history.`
+        )
+      );
+    }
+
+    const failures = [...deleteResults.failed, ...updateResults.failed];
+    if (failures.length > 0) {
+      console.log(
+        chalk.red(`✗ Failed to clean up ${failures.length} work log(s):`)
+      );
+      failures.forEach((failure) => {
+        console.log(chalk.red(formatFailure(failure)));
+      });
+    }
+  } catch (error) {
+    console.error(chalk.red("Error:"), error.message);
+    process.exit(1);
+  }
+}
+
+async function historyRebuildCommand(options) {
+  const mode = options.jira ? "jira" : "timetracker";
+  let startDate, endDate;
+
+  try {
+    const range = resolveDateRange(options);
+    startDate = range.startDate;
+    endDate = range.endDate.endOf("day");
+    validateConfig(mode);
+  } catch (error) {
+    console.error(chalk.red(error.message));
+    process.exit(1);
+  }
+
+  try {
+    const from = startDate.format("YYYY-MM-DD");
+    const to = endDate.format("YYYY-MM-DD");
+    console.log(chalk.cyan(`Fetching time entries from ${from} to ${to}...`));
+
+    const togglClient = new TogglClient();
+    const timeEntries = await togglClient.getTimeEntries(startDate, endDate);
+    const syncHistory = new SyncHistory();
+    const issueKeyRules = createIssueKeyRules(config.issueKeys);
+    const issueMappings = new IssueMappings();
+    const isSynced = (id) => syncHistory.isEntrySynced(id);
+    const missingEntries = splitEntriesAtMidnight(
+      timeEntries.map((entry) =>
+        parseTimeEntry(entry, issueKeyRules, issueMappings)
+      ),
+      { enabled: config.splitAtMidnight, isSynced }
+    ).filter((entry) => !isSynced(entry.id));
+
+    if (missingEntries.length === 0) {
+      console.log(
+        chalk.green("All entries in this period are already in the sync history.")
+      );
+      return;
+    }
+
+    console.log(chalk.cyan("Fetching your work logs from Jira..."));
+    const jiraClient = new JiraClient();
+    const issues = await jiraClient.searchIssues(
+      `worklogAuthor = currentUser() AND worklogDate >= "${from}" AND worklogDate <= "${to}"`
+    );
+    const matches = await findRemoteDuplicates(jiraClient, missingEntries, mode, {
+      issueKeys: issues.map((issue) => issue.key),
+      rounding: getRoundingForMode(createRoundingRules(config.rounding), mode),
+    });
+
+    const matchedCount = matches.reduce(
+      (sum, match) => sum + match.entries.length,
+      0
+    );
+    console.log(
+      chalk.green(
+        `Matched ${matchedCount} of ${missingEntries.length} entries missing from the sync history to ${matches.length} work log(s).`
+      )
+    );
+
+    if (matches.length === 0) {
+      return;
+    }
+
+    const matchesTable = new Table({
+      head: ["Issue Key", "Work Log ID", "Started", "Time", "Entries"],
+      colWidths: [15, 15, 20, 10, 10],
+    });
+    matches.forEach((match) => {
+      matchesTable.push([
+        match.workLog.issueKey,
+        match.workLog.id,
+        toZone(match.startedAt).format("YYYY-MM-DD HH:mm"),
+        formatDuration(match.timeSpentSeconds),
+        match.entries.length,
+      ]);
+    });
+    console.log(matchesTable.toString());
+
+    if (options.dryRun) {
+      console.log(
+        "\n" + chalk.yellow("Dry run mode - sync history was not changed.")
+      );
+      return;
+    }
+
+    // Matched ids are Jira work log ids, so they are recorded with the Jira
+    // target even in Timetracker mode
+    matches.forEach((match) => {
+      syncHistory.markEntriesAsSynced(
+        match.entries,
+        match.workLog.issueKey,
+        match.workLog.id,
+        "jira"
+      );
+    });
+    console.log(chalk.green("✓ Sync history rebuilt."));
+  } catch (error) {
+    console.error(chalk.red("Error:"), error.message);
+    process.exit(1);
+  }
+}
+
 async function historyClearCommand() {
   const { confirmed } = await inquirer.prompt([
     {
@@ -501,6 +1964,70 @@ async function historyClearCommand() {
   }
 }
 
+function loadIssueMappings() {
+  try {
+    return new IssueMappings();
+  } catch (error) {
+    console.error(chalk.red(error.message));
+    process.exit(1);
+  }
+}
+
+async function mappingsListCommand() {
+  const issueMappings = loadIssueMappings();
+  const rules = issueMappings.getRules();
+  const learned = issueMappings.getLearnedRules();
+
+  if (rules.length === 0 && learned.length === 0) {
+    console.log(chalk.yellow("No issue mappings configured."));
+    return;
+  }
+
+  const table = new Table({
+    head: ["ID", "Issue Key", "Source", "Rule"],
+    colWidths: [6, 12, 10, 60],
+  });
+
+  rules.forEach((rule) => {
+    table.push(["-", rule.issueKey, "file", describeMappingRule(rule)]);
+  });
+  learned.forEach((rule) => {
+    table.push([
+      rule.id,
+      rule.issueKey,
+      "learned",
+      describeLearnedRule(rule),
+    ]);
+  });
+
+  console.log(table.toString());
+  if (rules.length > 0) {
+    console.log(
+      chalk.gray(
+        `Rules from the file are edited in ${issueMappings.mappingsFile}.`
+      )
+    );
+  }
+}
+
+async function mappingsRemoveCommand(ids) {
+  const issueMappings = loadIssueMappings();
+  const removed = issueMappings.removeLearnedRules(ids);
+  const removedIds = new Set(removed.map((rule) => String(rule.id)));
+  const unknownIds = ids.filter((id) => !removedIds.has(String(Number(id))));
+
+  removed.forEach((rule) => {
+    console.log(
+      chalk.green(`Removed #${rule.id}: ${describeLearnedRule(rule)} → ${rule.issueKey}`)
+    );
+  });
+  if (unknownIds.length > 0) {
+    console.log(
+      chalk.yellow(`No learned mapping with id: ${unknownIds.join(", ")}`)
+    );
+  }
+}
+
 // Set up CLI
 program
   .name("toggl-jira")
@@ -514,13 +2041,26 @@ program
   .description("Sync time entries to Timetracker (default) or Jira")
   .option(
     "-f, --from <date>",
-    "Start date (YYYY-MM-DD or days ago, e.g., 7)",
-    dayjs().format("YYYY-MM-DD")
+    "Start date (YYYY-MM-DD, days ago, e.g., 7, or a period such as \"last week\")",
+    getLocalDate()
   )
   .option(
     "-t, --to <date>",
-    "End date (YYYY-MM-DD or days ago, e.g., 3)",
-    dayjs().format("YYYY-MM-DD")
+    "End date (YYYY-MM-DD, days ago, e.g., 3, or a period such as \"last week\")",
+    getLocalDate()
+  )
+  .option(
+    "-r, --range <range>",
+    "Date range instead of --from and --to, e.g. 2026-10-01..2026-10-15, last month or 2026-W41"
+  )
+  .option(
+    "--since-last",
+    "Start where the last successful sync ended instead of at --from"
+  )
+  .option(
+    "--overlap <days>",
+    "Days before the end of the last successful sync that --since-last re-reads",
+    config.sinceLastOverlapDays
   )
   .option(
     "-d, --dry-run",
@@ -530,6 +2070,33 @@ program
     "-j, --jira",
     "Use Jira API instead of Timetracker (default: Timetracker)"
   )
+  .option(
+    "-y, --yes",
+    "Run without prompts: confirm automatically and skip entries without issue keys"
+  )
+  .option("--non-interactive", "Same as --yes")
+  .option(
+    "--concurrency <number>",
+    "Number of work logs created in parallel",
+    String(DEFAULT_CONCURRENCY)
+  )
+  .option(
+    "--include-running",
+    "Sync running timers up to now; their work logs are updated once they stop"
+  )
+  .option(
+    "--retry-failed",
+    "Retry only the work logs that failed in previous runs"
+  )
+  .option(
+    "--remote-dedup",
+    "Skip entries that already have a matching work log of yours in Jira"
+  )
+  .option(
+    "-o, --output <format>",
+    "Output format: table, json or ndjson (json requires --yes or --dry-run)",
+    "table"
+  )
   .action(syncCommand);
 
 program
@@ -540,8 +2107,76 @@ program
 program
   .command("history:view")
   .description("View sync history statistics")
+  .option(
+    "-o, --output <format>",
+    "Output format: table, json or ndjson",
+    "table"
+  )
   .action(historyViewCommand);
 
+program
+  .command("history:revert")
+  .alias("undo")
+  .description("Delete the work logs created by a sync run and remove them from history")
+  .option("-r, --run <id>", "Sync run to revert (prompted when no filter is given)")
+  .option("-f, --from <date>", "Revert entries started on or after this date")
+  .option("-t, --to <date>", "Revert entries started on or before this date")
+  .option("-i, --issue <key>", "Revert entries logged to this Jira issue")
+  .option(
+    "-j, --jira",
+    "Treat entries synced before targets were recorded as Jira work logs (default: Timetracker)"
+  )
+  .action(historyRevertCommand);
+
+program
+  .command("history:orphans")
+  .description("Find synced entries that were deleted in Toggl and clean up their work logs")
+  .option(
+    "-f, --from <date>",
+    "Start date (YYYY-MM-DD, days ago, e.g., 7, or a period such as \"last week\")",
+    getLocalDate()
+  )
+  .option(
+    "-t, --to <date>",
+    "End date (YYYY-MM-DD, days ago, e.g., 3, or a period such as \"last week\")",
+    getLocalDate()
+  )
+  .option(
+    "-j, --jira",
+    "Treat entries synced before targets were recorded as Jira work logs (default: Timetracker)"
+  )
+  .action(historyOrphansCommand);
+
+program
+  .command("history:rebuild")
+  .description("Rebuild sync history by matching Toggl entries with your existing work logs")
+  .option(
+    "-f, --from <date>",
+    "Start date (YYYY-MM-DD, days ago, e.g., 7, or a period such as \"last week\")",
+    getLocalDate()
+  )
+  .option(
+    "-t, --to <date>",
+    "End date (YYYY-MM-DD, days ago, e.g., 3, or a period such as \"last week\")",
+    getLocalDate()
+  )
+  .option(
+    "-j, --jira",
+    "Entries were synced with --jira (one work log per issue and day)"
+  )
+  .option("-d, --dry-run", "Show matches without changing sync history")
+  .action(historyRebuildCommand);
+
+program
+  .command("mappings:list")
+  .description("List issue mapping rules, including assignments remembered during sync")
+  .action(mappingsListCommand);
+
+program
+  .command("mappings:remove <ids...>")
+  .description("Remove remembered issue mappings by id")
+  .action(mappingsRemoveCommand);
+
 program
   .command("history:clear")
   .description("Clear all sync history")
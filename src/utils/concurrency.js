@@ -0,0 +1,32 @@
+export const DEFAULT_CONCURRENCY = 4;
+
+export function parseConcurrency(value) {
+  const concurrency = Number(value);
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(
+      `Invalid concurrency "${value}". Use a whole number of 1 or more.`
+    );
+  }
+  return concurrency;
+}
+
+// Runs fn over items with at most `limit` calls in flight; results keep the input order
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = Array.from(
+    { length: Math.min(Math.max(1, limit), items.length) },
+    worker
+  );
+  await Promise.all(workers);
+
+  return results;
+}
@@ -1,6 +1,59 @@
 import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc.js";
+import { addDays, getLocalDate, startOfDay } from "./timezone.js";
 
-export function parseDateInput(input) {
+dayjs.extend(utc);
+
+const DATE_FORMATS_HINT =
+  "Use YYYY-MM-DD, a number of days ago (e.g., 7), today, yesterday, this week, last week, this month, last month, an ISO week (e.g., 2026-W41) or a range (e.g., 2026-10-01..2026-10-15).";
+
+// Weeks start on Monday, as in ISO weeks
+export function getMonday(date) {
+  return addDays(date, -((dayjs.utc(date).day() + 6) % 7));
+}
+
+function getIsoWeek(year, week) {
+  const monday = addDays(getMonday(`${year}-01-04`), (week - 1) * 7);
+  // Only some years have a week 53; its Thursday decides the year
+  if (week < 1 || dayjs.utc(addDays(monday, 3)).year() !== year) {
+    throw new Error(`Invalid ISO week: ${year}-W${String(week).padStart(2, "0")}.`);
+  }
+  return [monday, addDays(monday, 6)];
+}
+
+function getMonth(date) {
+  const month = dayjs.utc(date);
+  return [
+    month.startOf("month").format("YYYY-MM-DD"),
+    month.endOf("month").format("YYYY-MM-DD"),
+  ];
+}
+
+// The first and last day of a named period, or null
+function getNamedPeriod(name) {
+  const today = getLocalDate();
+
+  switch (name.toLowerCase().replace(/[\s_-]+/g, " ")) {
+    case "today":
+      return [today, today];
+    case "yesterday":
+      return [addDays(today, -1), addDays(today, -1)];
+    case "this week":
+      return [getMonday(today), addDays(getMonday(today), 6)];
+    case "last week":
+      return [addDays(getMonday(today), -7), addDays(getMonday(today), -1)];
+    case "this month":
+      return getMonth(today);
+    case "last month":
+      return getMonth(dayjs.utc(today).subtract(1, "month"));
+    default:
+      return null;
+  }
+}
+
+// Returns the first and last day of the period an input names, each at
+// midnight of the configured timezone; unknown inputs give invalid dates
+export function parseDatePeriod(input) {
   if (!input && input !== 0) {
     throw new Error("Date input is required");
   }
@@ -26,10 +79,96 @@ export function parseDateInput(input) {
       );
     }
 
-    return dayjs().subtract(daysAgo, 'day').startOf('day');
+    const day = startOfDay(addDays(getLocalDate(), -daysAgo));
+    return { from: day, to: day };
+  }
+
+  const range = inputStr.split("..");
+  if (range.length === 2) {
+    const from = parseDatePeriod(range[0]).from;
+    const to = parseDatePeriod(range[1]).to;
+    if (from.isValid() && to.isValid() && from.isAfter(to)) {
+      throw new Error(`Invalid range: ${inputStr} ends before it starts.`);
+    }
+    return { from, to };
+  }
+
+  const isoWeek = inputStr.match(/^(\d{4})-?W(\d{1,2})$/i);
+  const period = isoWeek
+    ? getIsoWeek(Number(isoWeek[1]), Number(isoWeek[2]))
+    : getNamedPeriod(inputStr);
+  if (period) {
+    return { from: startOfDay(period[0]), to: startOfDay(period[1]) };
+  }
+
+  // Days start at midnight of the configured timezone
+  if (/^\d{4}-\d{2}-\d{2}$/.test(inputStr) && dayjs(inputStr).isValid()) {
+    const day = startOfDay(inputStr);
+    return { from: day, to: day };
+  }
+
+  const date = dayjs(inputStr);
+  return { from: date, to: date };
+}
+
+// The first day of the period an input names
+export function parseDateInput(input) {
+  return parseDatePeriod(input).from;
+}
+
+// Either end may be missing
+function validateDateRange(startDate, endDate) {
+  if ((startDate && !startDate.isValid()) || (endDate && !endDate.isValid())) {
+    throw new Error(`Invalid date. ${DATE_FORMATS_HINT}`);
+  }
+  if (startDate && endDate && startDate.isAfter(endDate)) {
+    throw new Error(
+      `--from ${startDate.format("YYYY-MM-DD")} is after --to ${endDate.format(
+        "YYYY-MM-DD"
+      )}.`
+    );
+  }
+}
+
+// --range takes precedence over --from and --to. A period given as --to
+// counts up to its last day.
+export function resolveDateRange({ from, to, range } = {}) {
+  const startDate = range ? parseDatePeriod(range).from : parseDateInput(from);
+  const endDate = parseDatePeriod(range || to).to;
+  validateDateRange(startDate, endDate);
+
+  return { startDate, endDate };
+}
+
+// Like resolveDateRange, but a missing --from or --to leaves that end open (null)
+export function resolveOpenDateRange({ from, to } = {}) {
+  const startDate = from ? parseDateInput(from) : null;
+  const endDate = to ? parseDatePeriod(to).to : null;
+  validateDateRange(startDate, endDate);
+
+  return { startDate, endDate };
+}
+
+// `sync --since-last` starts on the day the last successful run ended, moved
+// back by the overlap so entries edited late in Toggl are picked up again
+export function resolveSinceLastRange(lastSync, { to, overlap }) {
+  if (!lastSync) {
+    throw new Error(
+      "No successful sync recorded yet. Run sync with --from once before using --since-last."
+    );
+  }
+
+  const overlapDays = Number(overlap);
+  if (!Number.isInteger(overlapDays) || overlapDays < 0) {
+    throw new Error(
+      `Invalid overlap "${overlap}". Use a whole number of 0 or more days.`
+    );
   }
 
-  return dayjs(inputStr);
+  return resolveDateRange({
+    from: addDays(getLocalDate(lastSync.to), -overlapDays),
+    to,
+  });
 }
 
 export function isIntegerInput(input) {
@@ -1,3 +1,5 @@
+import { getLocalDate } from './timezone.js';
+
 export function findGroupByWorkLog(groupedEntries, workLog) {
   return Object.keys(groupedEntries).find((key) => {
     const group = groupedEntries[key];
@@ -12,7 +14,7 @@ export function groupEntriesByDate(entries, issueKey) {
   const grouped = {};
 
   entries.forEach((entry) => {
-    const date = entry.startedAt.split('T')[0];
+    const date = getLocalDate(entry.startedAt);
     const groupKey = issueKey ? `${issueKey}_${date}` : `${entry.issueKey}_${date}`;
 
     if (!grouped[groupKey]) {
@@ -34,3 +36,21 @@ export function groupEntriesByDate(entries, issueKey) {
 
   return grouped;
 }
+
+// Adds the groups of `source` to `target`, combining groups of the same issue and date
+export function mergeEntryGroups(target, source) {
+  Object.entries(source).forEach(([groupKey, group]) => {
+    const existing = target[groupKey];
+    if (!existing) {
+      target[groupKey] = group;
+      return;
+    }
+
+    existing.entries = [...existing.entries, ...group.entries].sort(
+      (a, b) => new Date(a.startedAt) - new Date(b.startedAt)
+    );
+    existing.totalSeconds += group.totalSeconds;
+  });
+
+  return target;
+}
@@ -0,0 +1,21 @@
+export const EXIT_CODES = {
+  SUCCESS: 0,
+  FATAL: 1,
+  PARTIAL_FAILURE: 2,
+  NOTHING_TO_DO: 3,
+  // Every work log failed, but the tool itself ran to the end
+  ALL_FAILED: 4,
+};
+
+export function getSyncExitCode(results) {
+  const successful = results.successful.length;
+  const failed = results.failed.length;
+
+  if (successful === 0 && failed === 0) {
+    return EXIT_CODES.NOTHING_TO_DO;
+  }
+  if (failed === 0) {
+    return EXIT_CODES.SUCCESS;
+  }
+  return successful > 0 ? EXIT_CODES.PARTIAL_FAILURE : EXIT_CODES.ALL_FAILED;
+}
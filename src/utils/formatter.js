@@ -1,9 +1,15 @@
 import dayjs from "dayjs";
 import duration from "dayjs/plugin/duration.js";
-import utc from "dayjs/plugin/utc.js";
+import {
+  NO_ROUNDING,
+  entriesRoundToNothing,
+  roundEntriesSeconds,
+  roundSeconds,
+} from "./rounding.js";
+import { buildTargetReport } from "./targets.js";
+import { getLocalDate, toZone } from "./timezone.js";
 
 dayjs.extend(duration);
-dayjs.extend(utc);
 
 function removeJiraIssueKey(description) {
   if (!description) return description;
@@ -21,6 +27,11 @@ export function formatDuration(seconds) {
   return `${minutes}m`;
 }
 
+// Entries under a minute would all read "0m"
+function formatShortDuration(seconds) {
+  return seconds < 60 ? `${seconds}s` : formatDuration(seconds);
+}
+
 export function formatJiraWorkLog(issueKey, entries) {
   const totalSeconds = entries.reduce(
     (sum, entry) => sum + entry.durationSeconds,
@@ -41,19 +52,24 @@ export function formatJiraWorkLog(issueKey, entries) {
   };
 }
 
-export function formatJiraWorkLogWithBreakdown(issueKey, entries, date) {
-  const totalSeconds = entries.reduce(
+export function formatJiraWorkLogWithBreakdown(
+  issueKey,
+  entries,
+  date,
+  rounding = NO_ROUNDING
+) {
+  const rawSeconds = entries.reduce(
     (sum, entry) => sum + entry.durationSeconds,
     0
   );
+  const totalSeconds = roundEntriesSeconds(entries, rounding);
 
   // Create detailed breakdown of time entries
   const timeBreakdown = entries.map((entry) => {
-    const startTime = dayjs.utc(entry.startedAt).format("HH:mm");
-    const endTime = dayjs
-      .utc(entry.startedAt)
-      .add(entry.durationSeconds, "seconds")
-      .format("HH:mm");
+    const startTime = toZone(entry.startedAt).format("HH:mm");
+    const endTime = toZone(
+      dayjs(entry.startedAt).add(entry.durationSeconds, "seconds")
+    ).format("HH:mm");
     const duration = formatDuration(entry.durationSeconds);
 
     return {
@@ -74,6 +90,7 @@ export function formatJiraWorkLogWithBreakdown(issueKey, entries, date) {
     issueKey,
     date,
     timeSpentSeconds: totalSeconds,
+    rawSeconds,
     timeSpentFormatted: formatDuration(totalSeconds),
     startedAt: entries[0].startedAt,
     comment: comment,
@@ -98,33 +115,83 @@ function formatDetailedComment(timeBreakdown, totalSeconds, entryCount) {
   return comment;
 }
 
-export function formatTimetrackerWorklog(parsedEntry, worklogTagIds = [], issueId = null) {
+export function formatTimetrackerWorklog(
+  parsedEntry,
+  worklogTagIds = [],
+  issueId = null,
+  rounding = NO_ROUNDING
+) {
   const cleanDescription = removeJiraIssueKey(parsedEntry.description);
 
   return {
     description: cleanDescription ? `• ${cleanDescription}` : parsedEntry.description,
-    durationInSeconds: parsedEntry.durationSeconds,
+    durationInSeconds: roundSeconds(parsedEntry.durationSeconds, rounding),
     isBillable: true,
     issueId: issueId,
-    workDate: dayjs(parsedEntry.startedAt).format("YYYY-MM-DD"),
-    workStartTime: dayjs(parsedEntry.startedAt).format("HH:mm"),
+    // Read by Timetracker in the zone of its x-timezone header
+    workDate: getLocalDate(parsedEntry.startedAt),
+    workStartTime: toZone(parsedEntry.startedAt).format("HH:mm"),
     worklogTagIds: worklogTagIds.length > 0 ? worklogTagIds : undefined,
   };
 }
 
+// New Jira work logs count with the time they are created with, already synced
+// and changed entries with their current duration
+function sumTimeByDay({
+  jiraSummary,
+  alreadySyncedEntries,
+  changedWorkLogs,
+  nonJiraEntries,
+  entriesWithoutTags,
+}) {
+  const timeByDay = {};
+  const add = (date, field, seconds) => {
+    timeByDay[date] = timeByDay[date] || {
+      jiraSeconds: 0,
+      nonJiraSeconds: 0,
+      untaggedSeconds: 0,
+    };
+    timeByDay[date][field] += seconds;
+  };
+  const addEntries = (entries, field) =>
+    entries.forEach((entry) =>
+      add(getLocalDate(entry.startedAt), field, entry.durationSeconds)
+    );
+
+  jiraSummary.forEach((item) =>
+    add(item.date, "jiraSeconds", item.timeSpentSeconds)
+  );
+  Object.values(alreadySyncedEntries).forEach((group) =>
+    addEntries(group.entries, "jiraSeconds")
+  );
+  changedWorkLogs.forEach((group) =>
+    addEntries(group.changedEntries, "jiraSeconds")
+  );
+  nonJiraEntries.forEach((group) =>
+    addEntries(group.entries, "nonJiraSeconds")
+  );
+  entriesWithoutTags.forEach((group) =>
+    addEntries(group.entries, "untaggedSeconds")
+  );
+
+  return timeByDay;
+}
+
 export function prepareSummaryData(
   jiraEntries,
   nonJiraEntries,
   entriesWithoutTags = [],
-  alreadySyncedEntries = {}
+  alreadySyncedEntries = {},
+  changedWorkLogs = [],
+  runningEntries = [],
+  { rounding = NO_ROUNDING, tooShortEntries = [], targets = null } = {}
 ) {
   const jiraSummary = Object.entries(jiraEntries).map(([key, group]) => {
     const timeBreakdown = group.entries.map((entry) => {
-      const startTime = dayjs.utc(entry.startedAt).format("HH:mm");
-      const endTime = dayjs
-        .utc(entry.startedAt)
-        .add(entry.durationSeconds, "seconds")
-        .format("HH:mm");
+      const startTime = toZone(entry.startedAt).format("HH:mm");
+      const endTime = toZone(
+        dayjs(entry.startedAt).add(entry.durationSeconds, "seconds")
+      ).format("HH:mm");
       const duration = formatDuration(entry.durationSeconds);
 
       return {
@@ -134,27 +201,41 @@ export function prepareSummaryData(
       };
     });
 
+    // Pass the rounding of the target mode; the breakdown keeps raw times
+    const timeSpentSeconds = roundEntriesSeconds(group.entries, rounding);
+
     return {
       issueKey: group.issueKey,
       date: group.date,
-      timeSpentSeconds: group.totalSeconds,
-      timeSpentFormatted: formatDuration(group.totalSeconds),
+      timeSpentSeconds,
+      timeSpentFormatted: formatDuration(timeSpentSeconds),
+      rawSeconds: group.totalSeconds,
+      rawTimeFormatted: formatDuration(group.totalSeconds),
+      // Work that would round to 0 is logged with its tracked time
+      keptTrackedTime: entriesRoundToNothing(group.entries, rounding),
       startedAt: group.entries[0].startedAt,
       entryCount: group.entries.length,
       entries: group.entries,
       timeBreakdown: timeBreakdown,
+      assignedBy: [
+        ...new Set(
+          group.entries.map((entry) => entry.mappingRule).filter(Boolean)
+        ),
+      ],
     };
   });
 
   const nonJiraSummary = nonJiraEntries.map((group) => ({
     description: group.description,
     totalTime: formatDuration(group.totalSeconds),
+    totalSeconds: group.totalSeconds,
     entryCount: group.entries.length,
   }));
 
   const entriesWithoutTagsSummary = entriesWithoutTags.map((group) => ({
     description: group.description,
     totalTime: formatDuration(group.totalSeconds),
+    totalSeconds: group.totalSeconds,
     entryCount: group.entries.length,
   }));
 
@@ -162,6 +243,7 @@ export function prepareSummaryData(
     ([issueKey, group]) => ({
       issueKey,
       timeFormatted: formatDuration(group.totalSeconds),
+      totalSeconds: group.totalSeconds,
       description: [
         ...new Set(group.entries.map((e) => removeJiraIssueKey(e.description))),
       ]
@@ -171,10 +253,58 @@ export function prepareSummaryData(
     })
   );
 
+  const changedSummary = changedWorkLogs.map((group) => ({
+    issueKey: group.issueKey,
+    workLogId: group.workLogId,
+    date: group.date,
+    timeSpentSeconds: group.totalSeconds,
+    timeFormatted: formatDuration(group.totalSeconds),
+    previousSeconds: group.previousSeconds,
+    previousTimeFormatted: formatDuration(group.previousSeconds),
+    changes: [...new Set(group.changedEntries.flatMap((e) => e.changes))],
+    description: [
+      ...new Set(group.entries.map((e) => removeJiraIssueKey(e.description))),
+    ]
+      .filter((d) => d)
+      .join("; "),
+    entryCount: group.entries.length,
+    changedEntryCount: group.changedEntries.length,
+  }));
+
+  // Running timers are listed but not counted in any total
+  const stillRunningSummary = runningEntries.map((entry) => {
+    const elapsedSeconds = Math.max(
+      0,
+      dayjs().diff(dayjs(entry.startedAt), "second")
+    );
+    return {
+      id: entry.id,
+      issueKey: entry.issueKey,
+      description: entry.description || "(No description)",
+      startedAt: entry.startedAt,
+      elapsedSeconds,
+      elapsedFormatted: formatDuration(elapsedSeconds),
+    };
+  });
+
+  // Entries discarded as too short are listed so no tracked time goes missing
+  const tooShortSummary = tooShortEntries.map((entry) => ({
+    id: entry.id,
+    issueKey: entry.issueKey,
+    description: entry.description || "(No description)",
+    startedAt: entry.startedAt,
+    durationSeconds: entry.durationSeconds,
+    durationFormatted: formatShortDuration(entry.durationSeconds),
+  }));
+
   const totalJiraTime = jiraSummary.reduce(
     (sum, item) => sum + item.timeSpentSeconds,
     0
   );
+  const totalJiraRawTime = jiraSummary.reduce(
+    (sum, item) => sum + item.rawSeconds,
+    0
+  );
   const totalNonJiraTime = nonJiraEntries.reduce(
     (sum, group) => sum + group.totalSeconds,
     0
@@ -188,15 +318,44 @@ export function prepareSummaryData(
     (sum, group) => sum + group.totalSeconds,
     0
   );
+  const totalChangedTime = changedWorkLogs.reduce(
+    (sum, group) => sum + group.totalSeconds,
+    0
+  );
+  const totalTooShortTime = tooShortEntries.reduce(
+    (sum, entry) => sum + entry.durationSeconds,
+    0
+  );
 
   return {
     jiraWorkLogs: jiraSummary,
     nonJiraEntries: nonJiraSummary,
     entriesWithoutTags: entriesWithoutTagsSummary,
     alreadySynced: alreadySyncedSummary,
+    changedSinceSync: changedSummary,
+    stillRunning: stillRunningSummary,
+    tooShort: tooShortSummary,
+    // Only with a configured target; `targets` holds its rules and the period
+    targetReport: targets
+      ? buildTargetReport(
+          targets.rules,
+          targets,
+          sumTimeByDay({
+            jiraSummary,
+            alreadySyncedEntries,
+            changedWorkLogs,
+            nonJiraEntries,
+            entriesWithoutTags,
+          })
+        )
+      : null,
     totals: {
       jiraTime: formatDuration(totalJiraTime),
       jiraTimeSeconds: totalJiraTime,
+      jiraRawTime: formatDuration(totalJiraRawTime),
+      jiraRawTimeSeconds: totalJiraRawTime,
+      keptTrackedTimeCount: jiraSummary.filter((item) => item.keptTrackedTime)
+        .length,
       nonJiraTime: formatDuration(totalNonJiraTime),
       nonJiraTimeSeconds: totalNonJiraTime,
       entriesWithoutTagsTime: formatDuration(totalEntriesWithoutTagsTime),
@@ -206,17 +365,28 @@ export function prepareSummaryData(
           ? formatDuration(totalAlreadySyncedTime)
           : null,
       alreadySyncedTimeSeconds: totalAlreadySyncedTime,
+      changedTime:
+        totalChangedTime > 0 ? formatDuration(totalChangedTime) : null,
+      changedTimeSeconds: totalChangedTime,
+      tooShortTime:
+        totalTooShortTime > 0 ? formatShortDuration(totalTooShortTime) : null,
+      tooShortTimeSeconds: totalTooShortTime,
+      // Every other section is tracked time, so the grand total is too
       totalTime: formatDuration(
-        totalJiraTime +
+        totalJiraRawTime +
           totalNonJiraTime +
           totalAlreadySyncedTime +
-          totalEntriesWithoutTagsTime
+          totalEntriesWithoutTagsTime +
+          totalChangedTime +
+          totalTooShortTime
       ),
       totalTimeSeconds:
-        totalJiraTime +
+        totalJiraRawTime +
         totalNonJiraTime +
         totalAlreadySyncedTime +
-        totalEntriesWithoutTagsTime,
+        totalEntriesWithoutTagsTime +
+        totalChangedTime +
+        totalTooShortTime,
     },
   };
 }
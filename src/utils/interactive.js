@@ -1,9 +1,11 @@
 import inquirer from 'inquirer';
 import chalk from 'chalk';
 import { formatDuration } from './formatter.js';
-import { groupEntriesByDate } from './entry-helpers.js';
+import { groupEntriesByDate, mergeEntryGroups } from './entry-helpers.js';
+import { describeIssueProblem } from './issueCheck.js';
 
-export async function promptForJiraAssignment(groupedNonJiraEntries, jiraClient) {
+// Pass issueMappings to offer remembering each assignment for future runs
+export async function promptForJiraAssignment(groupedNonJiraEntries, jiraClient, { issueMappings } = {}) {
   if (groupedNonJiraEntries.length === 0) {
     return [];
   }
@@ -34,17 +36,23 @@ export async function promptForJiraAssignment(groupedNonJiraEntries, jiraClient)
         name: 'action',
         message: 'What would you like to do with this group?',
         choices: [
-          { name: 'Assign to Jira issue', value: 'assign' },
+          { name: 'Search Jira issues', value: 'search' },
+          { name: 'Assign to Jira issue by key', value: 'assign' },
           { name: 'Skip this group', value: 'skip' }
         ],
-        default: 1
+        default: 'skip'
       }
     ]);
 
-    if (action === 'assign') {
-      const assignment = await validateAndAssignIssueKey(group, jiraClient);
+    if (action === 'assign' || action === 'search') {
+      const assignment = action === 'search'
+        ? await searchAndAssignIssue(group, jiraClient)
+        : await validateAndAssignIssueKey(group, jiraClient);
       if (assignment) {
         assignments.push(assignment);
+        if (issueMappings) {
+          await promptToRememberAssignment(group, assignment.issueKey, issueMappings);
+        }
       }
     }
   }
@@ -102,13 +110,157 @@ export async function validateAndAssignIssueKey(group, jiraClient) {
   };
 }
 
+const ISSUE_SEARCH_LIMIT = 20;
+const ISSUE_KEY_FORMAT = /^[A-Z][A-Z0-9]+-\d+$/;
+
+function escapeJql(text) {
+  return text.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+}
+
+// Without a term, suggests issues I recently logged work on or that are assigned to me
+export function buildIssueSearchJql(term) {
+  const text = (term || '').trim();
+  if (!text) {
+    return '(worklogAuthor = currentUser() AND worklogDate >= -30d) OR assignee = currentUser() ORDER BY updated DESC';
+  }
+  return `summary ~ "${escapeJql(text)}*" ORDER BY updated DESC`;
+}
+
+export async function searchIssueChoices(jiraClient, term) {
+  const text = (term || '').trim().toUpperCase();
+  const issues = await jiraClient.searchIssues(buildIssueSearchJql(term), {
+    fields: ['key', 'summary'],
+    maxResults: ISSUE_SEARCH_LIMIT
+  });
+  const choices = issues.map(issue => ({
+    name: `${issue.key}  ${issue.fields?.summary || ''}`.trim(),
+    value: issue.key
+  }));
+
+  // A typed key is offered as is; it is validated when picked
+  if (ISSUE_KEY_FORMAT.test(text) && !issues.some(issue => issue.key === text)) {
+    choices.unshift({ name: `${text}  (use this key)`, value: text });
+  }
+  choices.push({ name: 'Type an issue key instead', value: null });
+
+  return choices;
+}
+
+export async function searchAndAssignIssue(group, jiraClient) {
+  const { issueKey } = await inquirer.prompt([
+    {
+      type: 'search',
+      name: 'issueKey',
+      message: 'Search Jira issues by summary or key (empty shows your recent issues):',
+      source: term => searchIssueChoices(jiraClient, term)
+    }
+  ]);
+
+  if (!issueKey) {
+    return validateAndAssignIssueKey(group, jiraClient);
+  }
+
+  // A key typed into the search may not exist
+  const found = await jiraClient.validateIssueKey(issueKey);
+  if (!found) {
+    console.log(chalk.red(`Issue ${issueKey} not found in Jira.`));
+    return validateAndAssignIssueKey(group, jiraClient);
+  }
+
+  return {
+    issueKey,
+    entries: group.entries
+  };
+}
+
+// Asks what to do with the entries of each issue that can't take work logs
+export async function resolveIssueProblems(problems, jiraClient) {
+  const reassignments = [];
+  const skipped = [];
+
+  for (const problem of problems) {
+    console.log('\n' + chalk.red(`${problem.issueKey} ${describeIssueProblem(problem.problem)}`));
+    console.log(chalk.gray(`  ${problem.entries.length} entries, ${formatDuration(problem.totalSeconds)}`));
+
+    const { action } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'action',
+        message: 'What would you like to do with these entries?',
+        choices: [
+          { name: 'Reassign to another Jira issue', value: 'reassign' },
+          { name: 'Skip them in this sync', value: 'skip' },
+          { name: 'Abort the sync', value: 'abort' }
+        ],
+        default: 'reassign'
+      }
+    ]);
+
+    if (action === 'abort') {
+      return { aborted: true, reassignments, skipped };
+    }
+
+    if (action === 'reassign') {
+      const assignment = await searchAndAssignIssue(problem, jiraClient);
+      if (assignment) {
+        reassignments.push({ ...assignment, previousIssueKey: problem.issueKey });
+        continue;
+      }
+    }
+
+    skipped.push(problem.issueKey);
+  }
+
+  return { aborted: false, reassignments, skipped };
+}
+
+export async function promptToRememberAssignment(group, issueKey, issueMappings) {
+  // Entries without a description have nothing to match on
+  if (!group.entries.some(entry => entry.description)) {
+    return null;
+  }
+
+  const { remember } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'remember',
+      message: `Remember "${group.description}" → ${issueKey} for future syncs?`,
+      choices: [
+        { name: 'No', value: 'no' },
+        { name: 'Yes, for this exact description', value: 'exact' },
+        { name: 'Yes, also for similar descriptions (ignoring case, numbers and punctuation)', value: 'fuzzy' }
+      ],
+      default: 0
+    }
+  ]);
+
+  if (remember === 'no') {
+    return null;
+  }
+
+  const rule = issueMappings.learn(group.description, issueKey, remember);
+  console.log(chalk.gray(`  Saved mapping #${rule.id}. Manage it with mappings:list and mappings:remove.`));
+  return rule;
+}
+
 export function convertUnassignedToJiraEntries(assignments) {
   const jiraEntries = {};
 
   assignments.forEach(assignment => {
-    const entriesByDate = groupEntriesByDate(assignment.entries, assignment.issueKey);
-    Object.assign(jiraEntries, entriesByDate);
+    // The key is what Timetracker work logs are created from
+    const entries = assignment.entries.map(entry => ({
+      ...entry,
+      issueKey: assignment.issueKey,
+      hasJiraIssue: true
+    }));
+    mergeEntryGroups(jiraEntries, groupEntriesByDate(entries, assignment.issueKey));
   });
 
   return jiraEntries;
+}
+
+// The groups none of whose entries were assigned, e.g. the ones skipped
+export function getUnassignedGroups(groupedNonJiraEntries, assignments) {
+  const assignedIds = new Set(assignments.flatMap(assignment => assignment.entries.map(entry => entry.id)));
+  return groupedNonJiraEntries.filter(group => !group.entries.some(entry => assignedIds.has(entry.id)));
 }
\ No newline at end of file
@@ -0,0 +1,117 @@
+export const ISSUE_PROBLEMS = {
+  NOT_FOUND: "not-found",
+  CLOSED: "closed",
+  NO_PERMISSION: "no-permission",
+};
+
+const PROBLEM_LABELS = {
+  [ISSUE_PROBLEMS.NOT_FOUND]: "does not exist",
+  [ISSUE_PROBLEMS.CLOSED]: "is closed",
+  [ISSUE_PROBLEMS.NO_PERMISSION]: "does not allow you to log work",
+};
+
+// Closed issues still take work logs, so they are only a warning
+const BLOCKING_PROBLEMS = [ISSUE_PROBLEMS.NOT_FOUND, ISSUE_PROBLEMS.NO_PERMISSION];
+
+export function isBlockingProblem(problem) {
+  return BLOCKING_PROBLEMS.includes(problem);
+}
+
+export function describeIssueProblem(problem) {
+  return PROBLEM_LABELS[problem] || problem;
+}
+
+// Looks up summary, status and project of every key and flags the ones work can't be logged on
+export async function checkIssueKeys(jiraClient, issueKeys) {
+  const keys = [...new Set(issueKeys.filter(Boolean))];
+  const details = new Map();
+
+  if (keys.length === 0) {
+    return details;
+  }
+
+  const { issues } = await jiraClient.bulkFetchIssues(keys);
+  const projectKeys = [
+    ...new Set(issues.map((issue) => issue.fields?.project?.key).filter(Boolean)),
+  ];
+  const permissions = new Map();
+  for (const projectKey of projectKeys) {
+    permissions.set(projectKey, await jiraClient.canLogWork(projectKey));
+  }
+
+  issues.forEach((issue) => {
+    const fields = issue.fields || {};
+    const projectKey = fields.project?.key || null;
+    let problem = null;
+
+    if (projectKey && !permissions.get(projectKey)) {
+      problem = ISSUE_PROBLEMS.NO_PERMISSION;
+    } else if (fields.status?.statusCategory?.key === "done") {
+      problem = ISSUE_PROBLEMS.CLOSED;
+    }
+
+    details.set(issue.key, {
+      key: issue.key,
+      id: parseInt(issue.id),
+      summary: fields.summary || "",
+      status: fields.status?.name || null,
+      projectKey,
+      projectName: fields.project?.name || null,
+      problem,
+    });
+  });
+
+  // Includes keys Jira reported as invalid and keys it silently left out
+  keys
+    .filter((key) => !details.has(key))
+    .forEach((key) => {
+      details.set(key, {
+        key,
+        id: null,
+        summary: null,
+        status: null,
+        projectKey: null,
+        projectName: null,
+        problem: ISSUE_PROBLEMS.NOT_FOUND,
+      });
+    });
+
+  return details;
+}
+
+export function attachIssueDetails(summary, details) {
+  summary.jiraWorkLogs.forEach((log) => {
+    log.issue = details.get(log.issueKey) || null;
+  });
+  return summary;
+}
+
+export function getIssueProblems(summary) {
+  return summary.jiraWorkLogs.filter((log) => log.issue?.problem);
+}
+
+// One item per issue key work can't be logged on, with the entries of all its work logs
+export function groupIssueProblems(summary) {
+  const grouped = new Map();
+
+  getIssueProblems(summary)
+    .filter((log) => isBlockingProblem(log.issue.problem))
+    .forEach((log) => {
+      if (!grouped.has(log.issueKey)) {
+        grouped.set(log.issueKey, {
+          issueKey: log.issueKey,
+          problem: log.issue.problem,
+          workLogs: [],
+          entries: [],
+          totalSeconds: 0,
+        });
+      }
+
+      const problem = grouped.get(log.issueKey);
+      problem.workLogs.push(log);
+      problem.entries.push(...log.entries);
+      problem.totalSeconds += log.timeSpentSeconds;
+    });
+
+  return [...grouped.values()];
+}
@@ -0,0 +1,166 @@
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import { homedir } from 'os';
+
+const MAPPINGS_FILE = join(homedir(), '.toggl-jira-mappings.json');
+const RULE_CONDITIONS = ['projectId', 'client', 'tag', 'description'];
+
+function sameText(a, b) {
+  return !!a && !!b && a.toLowerCase() === b.toLowerCase();
+}
+
+// Ignores case, accents, numbers, punctuation and spacing, so "Daily standup 03/12" matches "daily standup"
+export function normalizeDescription(description) {
+  return (description || '')
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+export function describeLearnedRule(rule) {
+  return rule.match === 'fuzzy'
+    ? `learned ~"${rule.description}"`
+    : `learned "${rule.description}"`;
+}
+
+export function describeMappingRule(rule) {
+  const parts = [];
+  if (rule.projectId !== undefined) parts.push(`project ${rule.projectId}`);
+  if (rule.client) parts.push(`client "${rule.client}"`);
+  if (rule.tag) parts.push(`tag "${rule.tag}"`);
+  if (rule.description) parts.push(`description /${rule.description}/`);
+  return parts.join(' + ');
+}
+
+// Routes Toggl entries without an issue key to a default issue; the first matching rule wins
+export class IssueMappings {
+  constructor() {
+    this.mappingsFile = MAPPINGS_FILE;
+    this.mappings = this.load();
+  }
+
+  load() {
+    if (!existsSync(this.mappingsFile)) {
+      return { rules: [], learned: [] };
+    }
+
+    let mappings;
+    try {
+      mappings = { rules: [], learned: [], ...JSON.parse(readFileSync(this.mappingsFile, 'utf8')) };
+    } catch (error) {
+      throw new Error(`Failed to load issue mappings from ${this.mappingsFile}: ${error.message}`);
+    }
+
+    mappings.rules.forEach((rule, index) => {
+      if (!rule.issueKey || !RULE_CONDITIONS.some(condition => rule[condition] !== undefined)) {
+        throw new Error(
+          `Invalid issue mapping #${index + 1} in ${this.mappingsFile}: ` +
+          `it needs an issueKey and one of ${RULE_CONDITIONS.join(', ')}`
+        );
+      }
+      if (rule.description) {
+        try {
+          new RegExp(rule.description, 'i');
+        } catch (error) {
+          throw new Error(`Invalid description pattern in issue mapping #${index + 1}: ${error.message}`);
+        }
+      }
+    });
+
+    return mappings;
+  }
+
+  save() {
+    try {
+      writeFileSync(this.mappingsFile, JSON.stringify(this.mappings, null, 2));
+    } catch (error) {
+      console.error('Failed to save issue mappings:', error.message);
+    }
+  }
+
+  getRules() {
+    return this.mappings.rules;
+  }
+
+  getLearnedRules() {
+    return this.mappings.learned;
+  }
+
+  // Replaces an earlier answer for the same description
+  learn(description, issueKey, match = 'exact') {
+    const normalized = normalizeDescription(description);
+    const learned = this.mappings.learned.filter(rule =>
+      rule.description !== description &&
+      !(match === 'fuzzy' && rule.match === 'fuzzy' &&
+        normalizeDescription(rule.description) === normalized)
+    );
+    const id = Math.max(0, ...this.mappings.learned.map(rule => rule.id)) + 1;
+    const rule = { id, issueKey, description, match, learnedAt: new Date().toISOString() };
+
+    this.mappings.learned = [...learned, rule];
+    this.save();
+    return rule;
+  }
+
+  removeLearnedRules(ids) {
+    const idSet = new Set(ids.map(Number));
+    const removed = this.mappings.learned.filter(rule => idSet.has(rule.id));
+
+    this.mappings.learned = this.mappings.learned.filter(rule => !idSet.has(rule.id));
+    this.save();
+    return removed;
+  }
+
+  matchesLearnedRule(rule, entry) {
+    if (rule.match === 'fuzzy') {
+      const normalized = normalizeDescription(entry.description);
+      return !!normalized && normalized === normalizeDescription(rule.description);
+    }
+    return (entry.description || '') === rule.description;
+  }
+
+  // Every condition of a rule has to match
+  matchesRule(rule, entry) {
+    if (rule.projectId !== undefined && Number(rule.projectId) !== entry.projectId) {
+      return false;
+    }
+    if (rule.client && !sameText(rule.client, entry.clientName)) {
+      return false;
+    }
+    if (rule.tag && !(entry.tags || []).some(tag => sameText(rule.tag, tag))) {
+      return false;
+    }
+    if (rule.description && !new RegExp(rule.description, 'i').test(entry.description || '')) {
+      return false;
+    }
+    return true;
+  }
+
+  // Expects a Toggl time entry as returned by TogglClient
+  // Rules from the file come before learned ones
+  findIssueKey(entry) {
+    const rule = this.getRules().find(rule => this.matchesRule(rule, entry));
+    if (rule) {
+      return {
+        issueKey: rule.issueKey.toUpperCase(),
+        mappingRule: describeMappingRule(rule)
+      };
+    }
+
+    // Exact answers win over fuzzy ones
+    const learned = [...this.getLearnedRules()]
+      .sort((a, b) => (a.match === 'exact' ? 0 : 1) - (b.match === 'exact' ? 0 : 1))
+      .find(rule => this.matchesLearnedRule(rule, entry));
+    if (learned) {
+      return {
+        issueKey: learned.issueKey,
+        mappingRule: describeLearnedRule(learned)
+      };
+    }
+
+    return null;
+  }
+}
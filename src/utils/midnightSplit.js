@@ -0,0 +1,70 @@
+import dayjs from "dayjs";
+import { addDays, getLocalDate, startOfDay } from "./timezone.js";
+
+// Parts keep their Toggl id and are told apart by their day
+export function getPartId(togglId, date) {
+  return `${togglId}@${date}`;
+}
+
+function toPart(entry, date, startedAt, durationSeconds) {
+  return {
+    ...entry,
+    id: getPartId(entry.id, date),
+    togglId: entry.id,
+    part: date,
+    startedAt,
+    durationSeconds,
+  };
+}
+
+// Splits an entry at every midnight of the configured timezone it crosses
+export function splitAtMidnight(entry) {
+  const end = dayjs(entry.startedAt).add(entry.durationSeconds, "second");
+  const parts = [];
+  let partStart = dayjs(entry.startedAt);
+
+  for (;;) {
+    const date = getLocalDate(partStart);
+    const nextMidnight = startOfDay(addDays(date, 1));
+    const partEnd = end.isAfter(nextMidnight) ? nextMidnight : end;
+    parts.push({
+      date,
+      startedAt: parts.length === 0 ? entry.startedAt : partStart.toISOString(),
+      durationSeconds: partEnd.diff(partStart, "second"),
+    });
+
+    if (!end.isAfter(nextMidnight)) break;
+    partStart = nextMidnight;
+  }
+
+  if (parts.length === 1) {
+    return [entry];
+  }
+
+  return parts.map((part) =>
+    toPart(entry, part.date, part.startedAt, part.durationSeconds)
+  );
+}
+
+// The sync history decides over the setting, so re-runs never log an entry
+// both whole and in parts
+export function splitEntriesAtMidnight(entries, { enabled, isSynced }) {
+  return entries.flatMap((entry) => {
+    if (isSynced(entry.id)) {
+      return [entry];
+    }
+
+    const parts = splitAtMidnight(entry);
+    if (parts.length > 1) {
+      return enabled || parts.some((part) => isSynced(part.id))
+        ? parts
+        : [entry];
+    }
+
+    // An entry edited so it no longer crosses midnight keeps its part id
+    const date = getLocalDate(entry.startedAt);
+    return isSynced(getPartId(entry.id, date))
+      ? [toPart(entry, date, entry.startedAt, entry.durationSeconds)]
+      : [entry];
+  });
+}
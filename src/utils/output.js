@@ -0,0 +1,176 @@
+export const OUTPUT_FORMATS = ["table", "json", "ndjson"];
+
+// Bump when a field is removed or changes meaning; adding fields is compatible
+export const OUTPUT_SCHEMA_VERSION = 1;
+
+// In machine-readable formats stdout carries only JSON, so progress messages
+// go to stderr
+export function createReporter(format = "table") {
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new Error(
+      `Invalid output format: ${format}. Use one of: ${OUTPUT_FORMATS.join(", ")}.`
+    );
+  }
+
+  const document = {};
+  let ended = false;
+
+  const writeLine = (data) => {
+    process.stdout.write(JSON.stringify(data) + "\n");
+  };
+
+  return {
+    format,
+    isMachineReadable: format !== "table",
+
+    log(...args) {
+      if (format === "table") {
+        console.log(...args);
+      } else {
+        console.error(...args);
+      }
+    },
+
+    begin(data) {
+      const header = { schemaVersion: OUTPUT_SCHEMA_VERSION, ...data };
+      if (format === "json") {
+        Object.assign(document, header);
+      } else if (format === "ndjson") {
+        writeLine({ type: "start", ...header });
+      }
+    },
+
+    emit(type, data) {
+      if (format === "json") {
+        document[type] = data;
+      } else if (format === "ndjson") {
+        writeLine({ type, ...data });
+      }
+    },
+
+    // json keeps the list under its type, ndjson writes one line per item
+    emitList(type, items) {
+      if (format === "json") {
+        document[type] = items;
+      } else if (format === "ndjson") {
+        items.forEach((item) => writeLine({ type, ...item }));
+      }
+    },
+
+    end(data = {}) {
+      if (ended) return;
+      ended = true;
+
+      if (format === "json") {
+        process.stdout.write(
+          JSON.stringify({ ...document, ...data }, null, 2) + "\n"
+        );
+      } else if (format === "ndjson") {
+        writeLine({ type: "end", ...data });
+      }
+    },
+  };
+}
+
+// Parts of an entry split at midnight report the Toggl entry they came from
+function getTogglId(entry) {
+  return entry.togglId ?? entry.id;
+}
+
+export function serializeSummary(summary) {
+  return {
+    workLogs: summary.jiraWorkLogs.map((log) => ({
+      issueKey: log.issueKey,
+      date: log.date,
+      startedAt: log.startedAt,
+      timeSpentSeconds: log.timeSpentSeconds,
+      rawTimeSpentSeconds: log.rawSeconds ?? log.timeSpentSeconds,
+      keptTrackedTime: !!log.keptTrackedTime,
+      entryCount: log.entryCount,
+      togglEntryIds: log.entries.map(getTogglId),
+      timeBreakdown: log.timeBreakdown,
+      assignedBy: log.assignedBy || [],
+      issue: log.issue
+        ? {
+            summary: log.issue.summary,
+            status: log.issue.status,
+            projectKey: log.issue.projectKey,
+            problem: log.issue.problem,
+          }
+        : null,
+    })),
+    changedSinceSync: (summary.changedSinceSync || []).map((item) => ({
+      issueKey: item.issueKey,
+      workLogId: item.workLogId,
+      date: item.date,
+      timeSpentSeconds: item.timeSpentSeconds,
+      previousTimeSpentSeconds: item.previousSeconds,
+      changes: item.changes,
+      entryCount: item.entryCount,
+    })),
+    stillRunning: (summary.stillRunning || []).map((item) => ({
+      togglEntryId: item.id,
+      issueKey: item.issueKey || null,
+      description: item.description,
+      startedAt: item.startedAt,
+      elapsedSeconds: item.elapsedSeconds,
+    })),
+    tooShort: (summary.tooShort || []).map((item) => ({
+      togglEntryId: item.id,
+      issueKey: item.issueKey || null,
+      description: item.description,
+      startedAt: item.startedAt,
+      durationSeconds: item.durationSeconds,
+    })),
+    targetReport: summary.targetReport || null,
+    alreadySynced: (summary.alreadySynced || []).map((item) => ({
+      issueKey: item.issueKey,
+      timeSpentSeconds: item.totalSeconds,
+      entryCount: item.entryCount,
+      description: item.description,
+    })),
+    nonJiraEntries: summary.nonJiraEntries.map(serializeEntryGroup),
+    entriesWithoutTags: (summary.entriesWithoutTags || []).map(
+      serializeEntryGroup
+    ),
+    totals: {
+      jiraSeconds: summary.totals.jiraTimeSeconds,
+      jiraRawSeconds:
+        summary.totals.jiraRawTimeSeconds ?? summary.totals.jiraTimeSeconds,
+      nonJiraSeconds: summary.totals.nonJiraTimeSeconds,
+      entriesWithoutTagsSeconds: summary.totals.entriesWithoutTagsTimeSeconds,
+      alreadySyncedSeconds: summary.totals.alreadySyncedTimeSeconds,
+      changedSeconds: summary.totals.changedTimeSeconds || 0,
+      tooShortSeconds: summary.totals.tooShortTimeSeconds || 0,
+      totalSeconds: summary.totals.totalTimeSeconds,
+    },
+  };
+}
+
+function serializeEntryGroup(group) {
+  return {
+    description: group.description,
+    totalSeconds: group.totalSeconds,
+    entryCount: group.entryCount,
+  };
+}
+
+// Expects results normalized to issueKey/date/startedAt/timeSpentSeconds/entries
+export function serializeWorkLogResults(results) {
+  const serialize = (item) => ({
+    issueKey: item.issueKey || null,
+    workLogId: item.workLogId ?? null,
+    date: item.date || null,
+    startedAt: item.startedAt || null,
+    timeSpentSeconds: item.timeSpentSeconds ?? null,
+    togglEntryIds: (item.entries || []).map(getTogglId),
+    ...(item.error
+      ? { error: item.error, retryable: !!item.retryable }
+      : {}),
+  });
+
+  return {
+    successful: results.successful.map(serialize),
+    failed: results.failed.map(serialize),
+  };
+}
@@ -1,16 +1,110 @@
 import { groupEntriesByDate } from './entry-helpers.js';
 
-export function extractJiraIssueKey(description) {
-  if (!description) return null;
+export const ISSUE_KEY_SOURCES = ["description", "project", "tag", "client"];
+const DEFAULT_ISSUE_KEY_PATTERN = "\\b([A-Z][A-Z0-9]+-\\d+)\\b";
+// With an allow-list, lowercase keys are safe to accept
+const CASE_INSENSITIVE_ISSUE_KEY_PATTERN = "/\\b([A-Z][A-Z0-9]+-\\d+)\\b/i";
+
+// Accepts "source" or "/source/flags"; the first capture group (or the whole match) is the key
+function compileIssueKeyPattern(pattern) {
+  const literal = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  const [source, flags] = literal ? [literal[1], literal[2]] : [pattern, ""];
+
+  try {
+    return new RegExp(source, flags.includes("g") ? flags : flags + "g");
+  } catch (error) {
+    throw new Error(`Invalid issue key pattern "${pattern}": ${error.message}`);
+  }
+}
+
+export function createIssueKeyRules({ projects = [], patterns = [], sources = [] } = {}) {
+  const unknownSources = sources.filter(
+    (source) => !ISSUE_KEY_SOURCES.includes(source)
+  );
+  if (unknownSources.length > 0) {
+    throw new Error(
+      `Unknown issue key source(s): ${unknownSources.join(
+        ", "
+      )}. Use ${ISSUE_KEY_SOURCES.join(", ")}.`
+    );
+  }
+
+  const defaultPattern =
+    projects.length > 0
+      ? CASE_INSENSITIVE_ISSUE_KEY_PATTERN
+      : DEFAULT_ISSUE_KEY_PATTERN;
+
+  return {
+    projects: new Set(projects.map((project) => project.toUpperCase())),
+    patterns: (patterns.length > 0 ? patterns : [defaultPattern]).map(
+      compileIssueKeyPattern
+    ),
+    sources: sources.length > 0 ? sources : ["description"],
+  };
+}
+
+export const DEFAULT_ISSUE_KEY_RULES = createIssueKeyRules();
 
-  const jiraKeyPattern = /\b([A-Z][A-Z0-9]+-\d+)\b/;
-  const match = description.match(jiraKeyPattern);
+export function extractJiraIssueKey(text, rules = DEFAULT_ISSUE_KEY_RULES) {
+  if (!text) return null;
 
-  return match ? match[1] : null;
+  for (const pattern of rules.patterns) {
+    for (const match of text.matchAll(pattern)) {
+      const key = (match[1] || match[0]).toUpperCase();
+      // Skips look-alikes such as UTF-8 when projects are listed
+      if (rules.projects.size === 0 || rules.projects.has(key.split("-")[0])) {
+        return key;
+      }
+    }
+  }
+
+  return null;
 }
 
-export function parseTimeEntry(entry) {
-  const issueKey = extractJiraIssueKey(entry.description);
+function getSourceTexts(entry, source) {
+  switch (source) {
+    case "description":
+      return [entry.description];
+    case "project":
+      return [entry.projectName];
+    case "client":
+      return [entry.clientName];
+    case "tag":
+      return entry.tags || [];
+    default:
+      return [];
+  }
+}
+
+// Searches the configured sources in priority order and reports which one matched
+export function findIssueKey(entry, rules = DEFAULT_ISSUE_KEY_RULES) {
+  for (const source of rules.sources) {
+    for (const text of getSourceTexts(entry, source)) {
+      const issueKey = extractJiraIssueKey(text, rules);
+      if (issueKey) {
+        return { issueKey, issueKeySource: source };
+      }
+    }
+  }
+
+  return { issueKey: null, issueKeySource: null };
+}
+
+export function parseTimeEntry(
+  entry,
+  rules = DEFAULT_ISSUE_KEY_RULES,
+  mappings = null
+) {
+  let { issueKey, issueKeySource } = findIssueKey(entry, rules);
+  let mappingRule = null;
+
+  // Keys written in the entry take precedence over mapping rules
+  const mapped = !issueKey && mappings ? mappings.findIssueKey(entry) : null;
+  if (mapped) {
+    issueKey = mapped.issueKey;
+    issueKeySource = "mapping";
+    mappingRule = mapped.mappingRule;
+  }
   const hasTags =
     !!(entry.tags && Array.isArray(entry.tags) && entry.tags.length > 0);
 
@@ -19,13 +113,26 @@ export function parseTimeEntry(entry) {
     description: entry.description,
     durationSeconds: entry.duration > 0 ? entry.duration : 0,
     startedAt: entry.start,
+    // Toggl reports a running timer with a negative duration
+    isRunning: entry.duration < 0,
     issueKey,
+    issueKeySource,
+    ...(mappingRule && { mappingRule }),
     hasJiraIssue: !!issueKey,
     hasTags: hasTags,
     tags: entry.tags || [],
   };
 }
 
+// Counts a running timer's time up to `now` so it can be synced before it stops
+export function withElapsedDuration(entry, now = new Date()) {
+  const elapsedMs = new Date(now).getTime() - new Date(entry.startedAt).getTime();
+  return {
+    ...entry,
+    durationSeconds: Math.max(0, Math.floor(elapsedMs / 1000)),
+  };
+}
+
 export function groupEntriesByDescription(entries) {
   const grouped = {};
 
@@ -0,0 +1,97 @@
+export const ROUNDING_MODES = ["none", "nearest", "up", "down"];
+export const ROUNDING_SCOPES = ["group", "entry"];
+
+export function createRoundingRules({
+  mode = "none",
+  minutes = 15,
+  minimumMinutes = 0,
+  scope = "group",
+} = {}) {
+  if (!ROUNDING_MODES.includes(mode)) {
+    throw new Error(
+      `Invalid rounding mode "${mode}". Use ${ROUNDING_MODES.join(", ")}.`
+    );
+  }
+  if (!ROUNDING_SCOPES.includes(scope)) {
+    throw new Error(
+      `Invalid rounding scope "${scope}". Use ${ROUNDING_SCOPES.join(", ")}.`
+    );
+  }
+  if (!(Number(minutes) > 0) || !(Number(minimumMinutes) >= 0)) {
+    throw new Error(
+      "Rounding minutes must be positive and the minimum duration can't be negative."
+    );
+  }
+
+  return {
+    mode,
+    stepSeconds: Number(minutes) * 60,
+    minimumSeconds: Number(minimumMinutes) * 60,
+    scope,
+  };
+}
+
+export const NO_ROUNDING = createRoundingRules();
+
+// Timetracker creates one work log per entry, so there is no group to round
+export function getRoundingForMode(rules, mode) {
+  return mode === "jira" ? rules : { ...rules, scope: "entry" };
+}
+
+// The configured minimum is the only floor, so this can be 0
+function roundToStep(seconds, rules) {
+  const steps = seconds / rules.stepSeconds;
+  let rounded = seconds;
+  if (rules.mode === "nearest") {
+    rounded = Math.round(steps) * rules.stepSeconds;
+  } else if (rules.mode === "up") {
+    rounded = Math.ceil(steps) * rules.stepSeconds;
+  } else if (rules.mode === "down") {
+    rounded = Math.floor(steps) * rules.stepSeconds;
+  }
+
+  return Math.max(rounded, rules.minimumSeconds);
+}
+
+// Work that rounds to nothing would be an empty work log, so it keeps its
+// tracked time instead; see roundsToNothing
+export function roundSeconds(seconds, rules = NO_ROUNDING) {
+  if (seconds <= 0) {
+    return seconds;
+  }
+
+  return roundToStep(seconds, rules) || seconds;
+}
+
+export function roundsToNothing(seconds, rules = NO_ROUNDING) {
+  return seconds > 0 && roundToStep(seconds, rules) === 0;
+}
+
+// Whether any part of a work log of these entries keeps its tracked time
+export function entriesRoundToNothing(entries, rules = NO_ROUNDING) {
+  if (rules.scope === "entry") {
+    return entries.some((entry) =>
+      roundsToNothing(entry.durationSeconds, rules)
+    );
+  }
+
+  return roundsToNothing(
+    entries.reduce((sum, entry) => sum + entry.durationSeconds, 0),
+    rules
+  );
+}
+
+// The time a work log of these entries is created with
+export function roundEntriesSeconds(entries, rules = NO_ROUNDING) {
+  if (rules.scope === "entry") {
+    return entries.reduce(
+      (sum, entry) => sum + roundSeconds(entry.durationSeconds, rules),
+      0
+    );
+  }
+
+  return roundSeconds(
+    entries.reduce((sum, entry) => sum + entry.durationSeconds, 0),
+    rules
+  );
+}
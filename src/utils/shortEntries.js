@@ -0,0 +1,100 @@
+import { getLocalDate } from "./timezone.js";
+
+export const SHORT_ENTRY_ACTIONS = ["discard", "merge"];
+
+export function createShortEntryRules({
+  minimumSeconds = 0,
+  action = "discard",
+} = {}) {
+  if (!SHORT_ENTRY_ACTIONS.includes(action)) {
+    throw new Error(
+      `Invalid short entry action "${action}". Use ${SHORT_ENTRY_ACTIONS.join(
+        ", "
+      )}.`
+    );
+  }
+  if (!(Number(minimumSeconds) >= 0)) {
+    throw new Error("The short entry threshold can't be negative.");
+  }
+
+  return { minimumSeconds: Number(minimumSeconds), action };
+}
+
+// Entries without an issue key are assigned by description, so that is what they share
+function getMergeKey(entry) {
+  const date = getLocalDate(entry.startedAt);
+  return entry.issueKey
+    ? `${entry.issueKey}_${date}`
+    : `(${entry.description || ""})_${date}`;
+}
+
+function findClosestEntry(entry, candidates) {
+  const key = getMergeKey(entry);
+  const start = new Date(entry.startedAt).getTime();
+  let closest = null;
+
+  candidates.forEach((candidate) => {
+    if (getMergeKey(candidate) !== key) return;
+    const distance = Math.abs(new Date(candidate.startedAt).getTime() - start);
+    if (!closest || distance < closest.distance) {
+      closest = { entry: candidate, distance };
+    }
+  });
+
+  return closest?.entry || null;
+}
+
+// Short entries are merged into the closest entry of the same issue and day
+// that is long enough, or discarded when there is none
+export function separateShortEntries(entries, rules) {
+  if (rules.minimumSeconds <= 0) {
+    return { entries, merged: [], discarded: [] };
+  }
+
+  const isShort = (entry) => entry.durationSeconds < rules.minimumSeconds;
+  const longEntries = entries.filter((entry) => !isShort(entry));
+  const merged = [];
+  const discarded = [];
+
+  const kept = entries.flatMap((entry) => {
+    if (!isShort(entry)) return [entry];
+
+    const host =
+      rules.action === "merge" ? findClosestEntry(entry, longEntries) : null;
+    if (!host) {
+      discarded.push(entry);
+      return [];
+    }
+
+    const mergedEntry = { ...entry, mergedInto: host.id };
+    merged.push(mergedEntry);
+    return [mergedEntry];
+  });
+
+  return { entries: kept, merged, discarded };
+}
+
+// Timetracker creates one work log per entry; merged entries are added to
+// the work log of their host
+export function combineMergedEntries(entries) {
+  const ids = new Set(entries.map((entry) => entry.id));
+  const hosts = entries.filter(
+    (entry) => !entry.mergedInto || !ids.has(entry.mergedInto)
+  );
+
+  return hosts.map((host) => {
+    const merged = entries.filter(
+      (entry) => entry.mergedInto === host.id
+    );
+    return {
+      entry: {
+        ...host,
+        durationSeconds: merged.reduce(
+          (sum, entry) => sum + entry.durationSeconds,
+          host.durationSeconds
+        ),
+      },
+      entries: [host, ...merged],
+    };
+  });
+}
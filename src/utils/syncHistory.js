@@ -1,26 +1,37 @@
 import { readFileSync, writeFileSync, existsSync } from 'fs';
 import { join } from 'path';
 import { homedir } from 'os';
+import { getLocalDate } from './timezone.js';
 
 const HISTORY_FILE = join(homedir(), '.toggl-jira-history.json');
 
+// Records of entries split at midnight are kept per part
+export function getRecordEntryId(record) {
+  return record.part ? `${record.togglId}@${record.part}` : record.togglId;
+}
+
+function getWorkLogKey(record) {
+  return `${record.target || ''}:${record.jiraIssueKey}:${record.jiraWorkLogId}`;
+}
+
 export class SyncHistory {
   constructor() {
     this.historyFile = HISTORY_FILE;
     this.history = this.load();
+    this.runId = new Date().toISOString();
   }
 
   load() {
     if (!existsSync(this.historyFile)) {
-      return { syncedEntries: {} };
+      return { syncedEntries: {}, failedWorkLogs: [] };
     }
 
     try {
       const content = readFileSync(this.historyFile, 'utf8');
-      return JSON.parse(content);
+      return { failedWorkLogs: [], ...JSON.parse(content) };
     } catch (error) {
       console.warn('Failed to load sync history, starting fresh:', error.message);
-      return { syncedEntries: {} };
+      return { syncedEntries: {}, failedWorkLogs: [] };
     }
   }
 
@@ -40,40 +51,187 @@ export class SyncHistory {
     return this.history.syncedEntries[togglEntryId];
   }
 
-  markEntriesAsSynced(entries, jiraIssueKey, workLogId) {
+  markEntriesAsSynced(entries, jiraIssueKey, workLogId, target = null) {
     const syncedAt = new Date().toISOString();
     
     entries.forEach(entry => {
       this.history.syncedEntries[entry.id] = {
-        togglId: entry.id,
+        togglId: entry.togglId ?? entry.id,
+        ...(entry.part && { part: entry.part }),
         description: entry.description,
         durationSeconds: entry.durationSeconds,
         startedAt: entry.startedAt,
         jiraIssueKey,
         jiraWorkLogId: workLogId,
-        syncedAt
+        target,
+        syncRunId: this.runId,
+        syncedAt,
+        // A running timer's work log is updated once the timer stops
+        ...(entry.isRunning && { provisional: true })
       };
     });
 
+    // A failed attempt is obsolete once its entries were synced
+    const syncedIds = new Set(entries.map(entry => String(entry.id)));
+    this.history.failedWorkLogs = this.history.failedWorkLogs.filter(failure =>
+      !failure.entries.some(entry => syncedIds.has(String(entry.id)))
+    );
+
+    this.save();
+  }
+
+  // Keeps the exact payload so a retry doesn't depend on Toggl or prompts
+  recordFailedWorkLogs(failures, target) {
+    const failedAt = new Date().toISOString();
+
+    failures.forEach(({ payload, entries, issueKey, error, retryable }) => {
+      const id = `${target}:${entries.map(entry => entry.id).join(',')}`;
+      const existing = this.history.failedWorkLogs.find(failure => failure.id === id);
+
+      if (existing) {
+        Object.assign(existing, {
+          payload,
+          error,
+          retryable,
+          failedAt,
+          attempts: existing.attempts + 1
+        });
+        return;
+      }
+
+      this.history.failedWorkLogs.push({
+        id,
+        target,
+        issueKey,
+        payload,
+        entries: entries.map(entry => ({
+          id: entry.id,
+          ...(entry.part && { togglId: entry.togglId, part: entry.part }),
+          description: entry.description,
+          durationSeconds: entry.durationSeconds,
+          startedAt: entry.startedAt,
+          ...(entry.isRunning && { isRunning: true })
+        })),
+        error,
+        retryable,
+        attempts: 1,
+        syncRunId: this.runId,
+        failedAt
+      });
+    });
+
+    this.save();
+  }
+
+  getFailedWorkLogs() {
+    return this.history.failedWorkLogs;
+  }
+
+  // Refreshes the stored snapshot after the remote work log was updated,
+  // keeping the original sync run so the entry can still be reverted with it
+  updateSyncedEntries(entries) {
+    const updatedAt = new Date().toISOString();
+
+    entries.forEach(entry => {
+      const record = this.history.syncedEntries[entry.id];
+      if (!record) return;
+
+      record.description = entry.description;
+      record.durationSeconds = entry.durationSeconds;
+      record.startedAt = entry.startedAt;
+      record.updatedAt = updatedAt;
+      if (entry.isRunning) {
+        record.provisional = true;
+      } else {
+        delete record.provisional;
+      }
+    });
+
     this.save();
   }
 
+  getEntryChanges(entry, record = this.getSyncedEntry(entry.id)) {
+    const changes = [];
+    if (!record) return changes;
+
+    if (record.durationSeconds !== entry.durationSeconds) {
+      changes.push('duration');
+    }
+    if ((record.description || '') !== (entry.description || '')) {
+      changes.push('description');
+    }
+    if (new Date(record.startedAt).getTime() !== new Date(entry.startedAt).getTime()) {
+      changes.push('start');
+    }
+    if (record.provisional && !entry.isRunning) {
+      changes.push('stopped');
+    }
+
+    return changes;
+  }
+
   filterUnsyncedEntries(entries) {
     const synced = [];
     const unsynced = [];
+    const changed = [];
 
     entries.forEach(entry => {
       if (this.isEntrySynced(entry.id)) {
-        synced.push({
-          ...entry,
-          syncInfo: this.getSyncedEntry(entry.id)
-        });
+        const syncInfo = this.getSyncedEntry(entry.id);
+        const changes = this.getEntryChanges(entry, syncInfo);
+
+        if (changes.length > 0) {
+          changed.push({ ...entry, syncInfo, changes });
+        } else {
+          synced.push({ ...entry, syncInfo });
+        }
       } else {
         unsynced.push(entry);
       }
     });
 
-    return { synced, unsynced };
+    return { synced, unsynced, changed };
+  }
+
+  // Collects every current entry of the work logs touched by a changed entry,
+  // since a Jira work log has to be recomputed from all of its entries
+  groupChangedEntriesByWorkLog(changedEntries, syncedEntries = []) {
+    const grouped = {};
+
+    changedEntries.forEach(entry => {
+      const key = getWorkLogKey(entry.syncInfo);
+
+      if (!grouped[key]) {
+        grouped[key] = {
+          target: entry.syncInfo.target,
+          issueKey: entry.syncInfo.jiraIssueKey,
+          workLogId: entry.syncInfo.jiraWorkLogId,
+          entries: [],
+          changedEntries: [],
+          previousSeconds: 0,
+          totalSeconds: 0
+        };
+      }
+
+      grouped[key].changedEntries.push(entry);
+    });
+
+    [...changedEntries, ...syncedEntries].forEach(entry => {
+      const group = grouped[getWorkLogKey(entry.syncInfo)];
+      if (!group) return;
+
+      group.entries.push(entry);
+      group.previousSeconds += entry.syncInfo.durationSeconds;
+      group.totalSeconds += entry.durationSeconds;
+    });
+
+    return Object.values(grouped).map(group => {
+      group.entries.sort((a, b) => new Date(a.startedAt) - new Date(b.startedAt));
+      return {
+        ...group,
+        date: getLocalDate(group.entries[0].startedAt)
+      };
+    });
   }
 
   groupSyncedEntriesByIssue(syncedEntries) {
@@ -97,8 +255,122 @@ export class SyncHistory {
     return grouped;
   }
 
+  // Records written before sync runs were tracked fall back to their own syncedAt
+  getSyncRuns() {
+    const runs = {};
+
+    Object.values(this.history.syncedEntries).forEach(record => {
+      const runId = record.syncRunId || record.syncedAt;
+
+      if (!runs[runId]) {
+        runs[runId] = {
+          runId,
+          syncedAt: record.syncedAt,
+          records: [],
+          totalSeconds: 0,
+          issueKeys: []
+        };
+      }
+
+      const run = runs[runId];
+      run.records.push(record);
+      run.totalSeconds += record.durationSeconds;
+      if (record.syncedAt < run.syncedAt) {
+        run.syncedAt = record.syncedAt;
+      }
+      if (!run.issueKeys.includes(record.jiraIssueKey)) {
+        run.issueKeys.push(record.jiraIssueKey);
+      }
+    });
+
+    return Object.values(runs).sort((a, b) => b.syncedAt.localeCompare(a.syncedAt));
+  }
+
+  findEntries({ runId, from, to, issueKey } = {}) {
+    return Object.values(this.history.syncedEntries).filter(record => {
+      if (runId && (record.syncRunId || record.syncedAt) !== runId) return false;
+      if (issueKey && record.jiraIssueKey !== issueKey) return false;
+      if (from && new Date(record.startedAt) < new Date(from)) return false;
+      if (to && new Date(record.startedAt) > new Date(to)) return false;
+      return true;
+    });
+  }
+
+  // History records in the range whose Toggl entry is no longer returned by Toggl
+  findOrphanedEntries(entries, { from, to } = {}) {
+    const existingIds = new Set(entries.map(entry => String(entry.id)));
+
+    return this.findEntries({ from, to }).filter(
+      record => !existingIds.has(String(record.togglId))
+    );
+  }
+
+  // A Jira work log can cover several Toggl entries, so removing one of them
+  // remotely removes all of them
+  expandToWorkLogs(records) {
+    const workLogKeys = new Set(records.map(getWorkLogKey));
+
+    return Object.values(this.history.syncedEntries).filter(record =>
+      workLogKeys.has(getWorkLogKey(record))
+    );
+  }
+
+  groupEntriesByWorkLog(records) {
+    const grouped = {};
+
+    records.forEach(record => {
+      const key = getWorkLogKey(record);
+
+      if (!grouped[key]) {
+        grouped[key] = {
+          target: record.target,
+          issueKey: record.jiraIssueKey,
+          workLogId: record.jiraWorkLogId,
+          records: [],
+          totalSeconds: 0
+        };
+      }
+
+      grouped[key].records.push(record);
+      grouped[key].totalSeconds += record.durationSeconds;
+    });
+
+    return Object.values(grouped);
+  }
+
+  removeEntries(togglIds) {
+    togglIds.forEach(togglId => {
+      delete this.history.syncedEntries[togglId];
+    });
+
+    this.save();
+  }
+
+  getLastSuccessfulSync() {
+    return this.history.lastSuccessfulSync || null;
+  }
+
+  // Entries that were skipped or left pending hold the point back to the start
+  // of the earliest one, even behind the previous point. Otherwise it only
+  // moves forward, so re-syncing an older range doesn't make the next
+  // `sync --since-last` start over from there.
+  recordSuccessfulSync(to, pendingEntries = []) {
+    const previous = this.getLastSuccessfulSync();
+    const pendingStarts = pendingEntries.map(entry => new Date(entry.startedAt).getTime());
+    const point = pendingStarts.length > 0 ? new Date(Math.min(...pendingStarts)) : new Date(to);
+
+    if (pendingStarts.length === 0 && previous && new Date(previous.to) >= point) return;
+
+    this.history.lastSuccessfulSync = {
+      to: point.toISOString(),
+      syncRunId: this.runId,
+      syncedAt: new Date().toISOString()
+    };
+    this.save();
+  }
+
   clear() {
-    this.history = { syncedEntries: {} };
+    this.history = { syncedEntries: {}, failedWorkLogs: [] };
     this.save();
   }
 
@@ -112,7 +384,8 @@ export class SyncHistory {
       totalEntries,
       totalSeconds,
       uniqueIssues: issueKeys.length,
-      issues: issueKeys
+      issues: issueKeys,
+      lastSuccessfulSync: this.getLastSuccessfulSync()
     };
   }
 }
\ No newline at end of file
@@ -0,0 +1,190 @@
+import { readFileSync, existsSync } from "fs";
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc.js";
+import { getMonday } from "./dateParser.js";
+import { addDays, getLocalDate } from "./timezone.js";
+
+dayjs.extend(utc);
+
+export const WEEK_DAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const DEFAULT_WORK_DAYS = ["mon", "tue", "wed", "thu", "fri"];
+
+function isSet(value) {
+  return value !== undefined && value !== null && value !== "";
+}
+
+// A JSON array of dates, or of { "date": "YYYY-MM-DD", "name": "..." } objects
+export function loadHolidays(file) {
+  if (!file || !existsSync(file)) {
+    return [];
+  }
+
+  let holidays;
+  try {
+    holidays = JSON.parse(readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Failed to load holidays from ${file}: ${error.message}`);
+  }
+  if (!Array.isArray(holidays)) {
+    throw new Error(`Invalid holidays file ${file}: expected a JSON array.`);
+  }
+
+  return holidays.map((holiday, index) => {
+    const { date, name = null } =
+      typeof holiday === "string" ? { date: holiday } : holiday || {};
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date || "") || !dayjs(date).isValid()) {
+      throw new Error(
+        `Invalid holiday #${index + 1} in ${file}: use a YYYY-MM-DD date.`
+      );
+    }
+    return { date, name };
+  });
+}
+
+// Returns null when neither a daily nor a weekly target is configured. Without
+// a daily target the weekly one is spread evenly over the work days. Holidays
+// are read from holidaysFile unless given.
+export function createTargetRules({
+  hoursPerDay,
+  hoursPerWeek,
+  workDays = [],
+  holidays,
+  holidaysFile,
+} = {}) {
+  if (!isSet(hoursPerDay) && !isSet(hoursPerWeek)) {
+    return null;
+  }
+  if (
+    (isSet(hoursPerDay) && !(Number(hoursPerDay) > 0)) ||
+    (isSet(hoursPerWeek) && !(Number(hoursPerWeek) > 0))
+  ) {
+    throw new Error("Target hours must be positive.");
+  }
+
+  const days = workDays.length
+    ? workDays.map((day) => day.toLowerCase().slice(0, 3))
+    : DEFAULT_WORK_DAYS;
+  const invalid = days.find((day) => !WEEK_DAYS.includes(day));
+  if (invalid) {
+    throw new Error(
+      `Invalid work day "${invalid}". Use ${WEEK_DAYS.join(", ")}.`
+    );
+  }
+
+  const weeklySeconds = isSet(hoursPerWeek)
+    ? Math.round(Number(hoursPerWeek) * 3600)
+    : null;
+
+  return {
+    dailySeconds: isSet(hoursPerDay)
+      ? Math.round(Number(hoursPerDay) * 3600)
+      : Math.round(weeklySeconds / days.length),
+    weeklySeconds,
+    workDays: [...new Set(days)],
+    holidays: new Map(
+      (holidays ?? loadHolidays(holidaysFile)).map(({ date, name }) => [
+        date,
+        name,
+      ])
+    ),
+  };
+}
+
+function isWorkDay(rules, date) {
+  return rules.workDays.includes(WEEK_DAYS[dayjs.utc(date).day()]);
+}
+
+function getDayTarget(rules, date) {
+  return isWorkDay(rules, date) && !rules.holidays.has(date)
+    ? rules.dailySeconds
+    : 0;
+}
+
+// Compared to the minute, as work logs are
+function getStatus(differenceSeconds) {
+  const minutes = Math.round(differenceSeconds / 60);
+  if (minutes < 0) return "under";
+  if (minutes > 0) return "over";
+  return "ok";
+}
+
+function createRow(fields, time, targetSeconds) {
+  const bookedSeconds = time.jiraSeconds + time.nonJiraSeconds;
+  return {
+    ...fields,
+    jiraSeconds: time.jiraSeconds,
+    nonJiraSeconds: time.nonJiraSeconds,
+    untaggedSeconds: time.untaggedSeconds,
+    bookedSeconds,
+    targetSeconds,
+    differenceSeconds: bookedSeconds - targetSeconds,
+    status: getStatus(bookedSeconds - targetSeconds),
+  };
+}
+
+// Compares the time of each day of the period with its target. `timeByDay`
+// maps dates to jiraSeconds, nonJiraSeconds and untaggedSeconds; untagged
+// time is also Jira or non-Jira time, so it isn't booked on top. Days after
+// today are left out.
+export function buildTargetReport(rules, { from, to }, timeByDay) {
+  const today = getLocalDate();
+  const lastDate = getLocalDate(to) < today ? getLocalDate(to) : today;
+  const days = [];
+
+  for (
+    let date = getLocalDate(from);
+    date <= lastDate;
+    date = addDays(date, 1)
+  ) {
+    const time = {
+      jiraSeconds: 0,
+      nonJiraSeconds: 0,
+      untaggedSeconds: 0,
+      ...timeByDay[date],
+    };
+    days.push(
+      createRow(
+        {
+          date,
+          weekday: WEEK_DAYS[dayjs.utc(date).day()],
+          holiday: rules.holidays.has(date)
+            ? rules.holidays.get(date) || "Holiday"
+            : null,
+        },
+        time,
+        getDayTarget(rules, date)
+      )
+    );
+  }
+
+  const weeks = [...new Set(days.map((day) => getMonday(day.date)))].map(
+    (monday) => {
+      const weekDays = days.filter((day) => getMonday(day.date) === monday);
+      const sum = (field) =>
+        weekDays.reduce((total, day) => total + day[field], 0);
+
+      // A weekly target only fits a whole week; each holiday takes its share
+      let targetSeconds = sum("targetSeconds");
+      if (rules.weeklySeconds !== null && weekDays.length === 7) {
+        const holidays = weekDays.filter(
+          (day) => day.holiday && isWorkDay(rules, day.date)
+        ).length;
+        targetSeconds = Math.round(
+          rules.weeklySeconds * (1 - holidays / rules.workDays.length)
+        );
+      }
+
+      return createRow(
+        { from: weekDays[0].date, to: weekDays[weekDays.length - 1].date },
+        {
+          jiraSeconds: sum("jiraSeconds"),
+          nonJiraSeconds: sum("nonJiraSeconds"),
+          untaggedSeconds: sum("untaggedSeconds"),
+        },
+        targetSeconds
+      );
+    }
+  );
+
+  return { days, weeks };
+}
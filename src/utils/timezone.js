@@ -0,0 +1,43 @@
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc.js";
+import timezone from "dayjs/plugin/timezone.js";
+import { config } from "../config.js";
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// A moment as wall-clock time in the configured timezone
+export function toZone(date, zone = config.timezone) {
+  return dayjs(date).tz(zone);
+}
+
+// The calendar day a moment falls on; plain dates are already calendar days
+export function getLocalDate(date = new Date(), zone = config.timezone) {
+  if (typeof date === "string" && DATE_ONLY.test(date)) {
+    return date;
+  }
+  return toZone(date, zone).format("YYYY-MM-DD");
+}
+
+export function addDays(date, days) {
+  return dayjs.utc(date).add(days, "day").format("YYYY-MM-DD");
+}
+
+// Midnight is looked up per day, so days next to a DST change get the right offset
+export function startOfDay(date, zone = config.timezone) {
+  return dayjs.tz(getLocalDate(date, zone), zone);
+}
+
+export function endOfDay(date, zone = config.timezone) {
+  return startOfDay(addDays(getLocalDate(date, zone), 1), zone).subtract(
+    1,
+    "millisecond"
+  );
+}
+
+// Offsets are written out so the receiving side sees the local time
+export function formatZonedDateTime(date, zone = config.timezone) {
+  return toZone(date, zone).format("YYYY-MM-DDTHH:mm:ss.SSSZZ");
+}
@@ -0,0 +1,114 @@
+import dayjs from "dayjs";
+import { groupEntriesByIssueKeyAndDate } from "./parser.js";
+import { NO_ROUNDING, roundEntriesSeconds, roundSeconds } from "./rounding.js";
+
+// Jira stores work log times with minute precision
+const TOLERANCE_SECONDS = 60;
+
+// Jira mode creates one work log per issue and day, Timetracker one per entry.
+// Entries without an issue key can match a work log on any issue.
+// Durations are rounded the way the work logs were created.
+export function buildWorkLogCandidates(entries, mode, rounding = NO_ROUNDING) {
+  if (mode === "jira") {
+    return Object.values(groupEntriesByIssueKeyAndDate(entries)).map(
+      (group) => ({
+        issueKey: group.issueKey,
+        startedAt: group.entries[0].startedAt,
+        timeSpentSeconds: roundEntriesSeconds(group.entries, rounding),
+        entries: group.entries,
+      })
+    );
+  }
+
+  return entries.map((entry) => ({
+    issueKey: entry.issueKey || null,
+    startedAt: entry.startedAt,
+    timeSpentSeconds: roundSeconds(entry.durationSeconds, rounding),
+    entries: [entry],
+  }));
+}
+
+function isSameWorkLog(candidate, workLog, accountId) {
+  return (
+    (!candidate.issueKey || workLog.issueKey === candidate.issueKey) &&
+    (!accountId || workLog.author?.accountId === accountId) &&
+    Math.abs(dayjs(workLog.started).diff(dayjs(candidate.startedAt), "second")) <
+      TOLERANCE_SECONDS &&
+    Math.abs(workLog.timeSpentSeconds - candidate.timeSpentSeconds) <
+      TOLERANCE_SECONDS
+  );
+}
+
+// Each remote work log is matched at most once, candidates with an issue key
+// get the first pick
+export function matchRemoteWorkLogs(candidates, remoteWorkLogs, accountId) {
+  const unmatched = [...remoteWorkLogs];
+  const matches = [];
+  const ordered = [
+    ...candidates.filter((candidate) => candidate.issueKey),
+    ...candidates.filter((candidate) => !candidate.issueKey),
+  ];
+
+  ordered.forEach((candidate) => {
+    const index = unmatched.findIndex((workLog) =>
+      isSameWorkLog(candidate, workLog, accountId)
+    );
+
+    if (index !== -1) {
+      matches.push({ ...candidate, workLog: unmatched[index] });
+      unmatched.splice(index, 1);
+    }
+  });
+
+  return matches;
+}
+
+export async function fetchRemoteWorkLogs(jiraClient, issueKeys, from, to) {
+  const workLogs = [];
+
+  for (const issueKey of issueKeys) {
+    workLogs.push(
+      ...(await jiraClient.getIssueWorkLogs(issueKey, {
+        startedAfter: from,
+        startedBefore: to,
+      }))
+    );
+  }
+
+  return workLogs;
+}
+
+// Finds entries that already have a work log of the current user in Jira.
+// Work logs are read from the candidates' issues plus any extra issueKeys.
+export async function findRemoteDuplicates(
+  jiraClient,
+  entries,
+  mode,
+  { issueKeys = [], rounding = NO_ROUNDING } = {}
+) {
+  const candidates = buildWorkLogCandidates(entries, mode, rounding);
+  if (candidates.length === 0) {
+    return [];
+  }
+
+  const starts = candidates.map((candidate) => dayjs(candidate.startedAt));
+  const from = starts.reduce((a, b) => (a.isBefore(b) ? a : b));
+  const to = starts.reduce((a, b) => (a.isAfter(b) ? a : b));
+
+  const { accountId } = await jiraClient.getCurrentUser();
+  const remoteWorkLogs = await fetchRemoteWorkLogs(
+    jiraClient,
+    [
+      ...new Set([
+        ...candidates
+          .map((candidate) => candidate.issueKey)
+          .filter((issueKey) => issueKey),
+        ...issueKeys,
+      ]),
+    ],
+    from.subtract(1, "day"),
+    to.add(1, "day")
+  );
+
+  return matchRemoteWorkLogs(candidates, remoteWorkLogs, accountId);
+}
@@ -0,0 +1,74 @@
+import { describe, test, expect } from 'vitest';
+import { mapWithConcurrency, parseConcurrency } from '../src/utils/concurrency.js';
+import { JiraClient } from '../src/api/jira.js';
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('mapWithConcurrency', () => {
+  test('keeps the input order when calls finish out of order', async () => {
+    const results = await mapWithConcurrency([30, 10, 20], 3, async (ms, index) => {
+      await delay(ms);
+      return index;
+    });
+
+    expect(results).toEqual([0, 1, 2]);
+  });
+
+  test('never runs more than the limit at once', async () => {
+    let running = 0;
+    let maxRunning = 0;
+
+    await mapWithConcurrency([1, 2, 3, 4, 5, 6], 2, async () => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await delay(5);
+      running--;
+    });
+
+    expect(maxRunning).toBe(2);
+  });
+
+  test('handles empty input', async () => {
+    expect(await mapWithConcurrency([], 4, async () => 1)).toEqual([]);
+  });
+});
+
+describe('parseConcurrency', () => {
+  test('accepts positive whole numbers', () => {
+    expect(parseConcurrency('4')).toBe(4);
+  });
+
+  test('rejects zero, negative and non-numeric values', () => {
+    expect(() => parseConcurrency('0')).toThrow('Invalid concurrency');
+    expect(() => parseConcurrency('-2')).toThrow('Invalid concurrency');
+    expect(() => parseConcurrency('abc')).toThrow('Invalid concurrency');
+  });
+});
+
+describe('batchCreateWorkLogs', () => {
+  test('keeps indexes aligned with the input when created concurrently', async () => {
+    const client = new JiraClient();
+    client.createWorkLog = async (issueKey, timeSpentSeconds) => {
+      await delay(timeSpentSeconds);
+      if (issueKey === 'ABC-2') {
+        throw new Error('Forbidden');
+      }
+      return { id: `w-${issueKey}` };
+    };
+
+    const results = await client.batchCreateWorkLogs(
+      [
+        { issueKey: 'ABC-1', timeSpentSeconds: 30 },
+        { issueKey: 'ABC-2', timeSpentSeconds: 10 },
+        { issueKey: 'ABC-3', timeSpentSeconds: 1 }
+      ],
+      { concurrency: 3 }
+    );
+
+    expect(results.successful.map((r) => [r.index, r.workLogId])).toEqual([
+      [0, 'w-ABC-1'],
+      [2, 'w-ABC-3']
+    ]);
+    expect(results.failed).toMatchObject([{ index: 1, issueKey: 'ABC-2', error: 'Forbidden' }]);
+  });
+});
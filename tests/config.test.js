@@ -59,4 +59,35 @@ describe('Configuration validation', () => {
 
     expect(() => validateConfig()).not.toThrow();
   });
+
+  it('should throw error for an unknown timezone', async () => {
+    process.env.TOGGL_API_TOKEN = 'test-toggl-token';
+    process.env.TOGGL_WORKSPACE_ID = 'test-workspace';
+    process.env.JIRA_API_TOKEN = 'test-jira-token';
+    process.env.JIRA_EMAIL = 'test@example.com';
+    process.env.JIRA_DOMAIN = 'test.atlassian.net';
+    process.env.TIMETRACKER_JIRA_API_TOKEN = 'test-timetracker-token';
+    process.env.TIMEZONE = 'Mars/Olympus_Mons';
+
+    const { validateConfig } = await import('../src/config.js');
+
+    expect(() => validateConfig()).toThrow('Invalid TIMEZONE');
+  });
+
+  it('should throw error for ISSUE_KEY_PATTERNS that is not valid JSON', async () => {
+    process.env.ISSUE_KEY_PATTERNS = '["[A-Z]+-\\d+"';
+
+    const { config } = await import('../src/config.js');
+
+    expect(() => config.issueKeys.patterns).toThrow('Invalid ISSUE_KEY_PATTERNS');
+  });
+
+  it('should read ISSUE_KEY_PATTERNS as a JSON array or a single pattern', async () => {
+    process.env.ISSUE_KEY_PATTERNS = '["ABC-[0-9]+", "XYZ-[0-9]+"]';
+    const { config } = await import('../src/config.js');
+    expect(config.issueKeys.patterns).toEqual(['ABC-[0-9]+', 'XYZ-[0-9]+']);
+
+    process.env.ISSUE_KEY_PATTERNS = 'ABC-\\d+';
+    expect(config.issueKeys.patterns).toEqual(['ABC-\\d+']);
+  });
 });
\ No newline at end of file
@@ -1,6 +1,6 @@
-import { describe, test, expect } from 'vitest';
+import { describe, test, expect, vi, beforeEach, afterEach } from 'vitest';
 import dayjs from 'dayjs';
-import { parseDateInput, isIntegerInput } from '../src/utils/dateParser.js';
+import { parseDateInput, parseDatePeriod, resolveDateRange, resolveOpenDateRange, resolveSinceLastRange, isIntegerInput } from '../src/utils/dateParser.js';
 
 describe('parseDateInput', () => {
   describe('integer inputs (days ago)', () => {
@@ -93,6 +93,156 @@ describe('parseDateInput', () => {
   });
 });
 
+describe('parseDatePeriod', () => {
+  const days = (period) => [period.from.format('YYYY-MM-DD'), period.to.format('YYYY-MM-DD')];
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    // A Wednesday
+    vi.setSystemTime(new Date('2026-10-14T12:00:00Z'));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  test('parses today and yesterday', () => {
+    expect(days(parseDatePeriod('today'))).toEqual(['2026-10-14', '2026-10-14']);
+    expect(days(parseDatePeriod('yesterday'))).toEqual(['2026-10-13', '2026-10-13']);
+  });
+
+  test('parses weeks starting on Monday', () => {
+    expect(days(parseDatePeriod('this week'))).toEqual(['2026-10-12', '2026-10-18']);
+    expect(days(parseDatePeriod('last week'))).toEqual(['2026-10-05', '2026-10-11']);
+    expect(days(parseDatePeriod('Last-Week'))).toEqual(['2026-10-05', '2026-10-11']);
+  });
+
+  test('parses months', () => {
+    expect(days(parseDatePeriod('this month'))).toEqual(['2026-10-01', '2026-10-31']);
+    expect(days(parseDatePeriod('last month'))).toEqual(['2026-09-01', '2026-09-30']);
+  });
+
+  test('parses last month across a year boundary', () => {
+    vi.setSystemTime(new Date('2026-01-10T12:00:00Z'));
+    expect(days(parseDatePeriod('last month'))).toEqual(['2025-12-01', '2025-12-31']);
+  });
+
+  test('parses ISO weeks', () => {
+    expect(days(parseDatePeriod('2026-W41'))).toEqual(['2026-10-05', '2026-10-11']);
+    expect(days(parseDatePeriod('2026w01'))).toEqual(['2025-12-29', '2026-01-04']);
+    expect(days(parseDatePeriod('2020-W53'))).toEqual(['2020-12-28', '2021-01-03']);
+  });
+
+  test('rejects ISO weeks the year does not have', () => {
+    expect(() => parseDatePeriod('2025-W53')).toThrow('Invalid ISO week');
+    expect(() => parseDatePeriod('2026-W00')).toThrow('Invalid ISO week');
+  });
+
+  test('parses ranges of any two inputs', () => {
+    expect(days(parseDatePeriod('2026-10-01..2026-10-15'))).toEqual(['2026-10-01', '2026-10-15']);
+    expect(days(parseDatePeriod('last week..yesterday'))).toEqual(['2026-10-05', '2026-10-13']);
+    expect(days(parseDatePeriod('7..0'))).toEqual(['2026-10-07', '2026-10-14']);
+  });
+
+  test('rejects ranges that end before they start', () => {
+    expect(() => parseDatePeriod('2026-10-15..2026-10-01')).toThrow('ends before it starts');
+  });
+
+  test('keeps single days single', () => {
+    expect(days(parseDatePeriod('2026-10-01'))).toEqual(['2026-10-01', '2026-10-01']);
+    expect(days(parseDatePeriod('3'))).toEqual(['2026-10-11', '2026-10-11']);
+  });
+});
+
+describe('resolveDateRange', () => {
+  const days = ({ startDate, endDate }) => [startDate.format('YYYY-MM-DD'), endDate.format('YYYY-MM-DD')];
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2026-10-14T12:00:00Z'));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  test('counts a period given as --to up to its last day', () => {
+    expect(days(resolveDateRange({ from: 'last month', to: 'last month' }))).toEqual(['2026-09-01', '2026-09-30']);
+  });
+
+  test('prefers --range over --from and --to', () => {
+    expect(days(resolveDateRange({ from: '2026-10-14', to: '2026-10-14', range: '2026-W41' }))).toEqual(['2026-10-05', '2026-10-11']);
+  });
+
+  test('rejects --from after --to', () => {
+    expect(() => resolveDateRange({ from: '2026-10-15', to: '2026-10-01' })).toThrow('--from 2026-10-15 is after --to 2026-10-01');
+  });
+
+  test('rejects invalid dates', () => {
+    expect(() => resolveDateRange({ from: 'someday', to: '0' })).toThrow('Invalid date');
+  });
+});
+
+describe('resolveOpenDateRange', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2026-10-14T12:00:00Z'));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  test('leaves missing ends open', () => {
+    expect(resolveOpenDateRange({})).toEqual({ startDate: null, endDate: null });
+
+    const { startDate, endDate } = resolveOpenDateRange({ to: 'last week' });
+    expect(startDate).toBeNull();
+    expect(endDate.format('YYYY-MM-DD')).toBe('2026-10-11');
+  });
+
+  test('rejects invalid dates instead of ignoring them', () => {
+    expect(() => resolveOpenDateRange({ from: 'yesterdy' })).toThrow('Invalid date');
+    expect(() => resolveOpenDateRange({ to: 'next week' })).toThrow('Invalid date');
+  });
+
+  test('rejects --from after --to', () => {
+    expect(() => resolveOpenDateRange({ from: 'today', to: 'last week' })).toThrow('is after --to');
+  });
+});
+
+describe('resolveSinceLastRange', () => {
+  const days = ({ startDate, endDate }) => [startDate.format('YYYY-MM-DD'), endDate.format('YYYY-MM-DD')];
+  const lastSync = { to: '2026-10-10T15:30:00.000Z' };
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2026-10-14T12:00:00Z'));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  test('starts on the day the last run ended, moved back by the overlap', () => {
+    expect(days(resolveSinceLastRange(lastSync, { to: '0', overlap: '1' }))).toEqual(['2026-10-09', '2026-10-14']);
+    expect(days(resolveSinceLastRange(lastSync, { to: '0', overlap: '0' }))).toEqual(['2026-10-10', '2026-10-14']);
+  });
+
+  test('keeps --to', () => {
+    expect(days(resolveSinceLastRange(lastSync, { to: 'yesterday', overlap: '2' }))).toEqual(['2026-10-08', '2026-10-13']);
+  });
+
+  test('requires a previous successful run', () => {
+    expect(() => resolveSinceLastRange(null, { to: '0', overlap: '1' })).toThrow('No successful sync recorded yet');
+  });
+
+  test('rejects invalid overlaps', () => {
+    expect(() => resolveSinceLastRange(lastSync, { to: '0', overlap: '-1' })).toThrow('Invalid overlap "-1"');
+    expect(() => resolveSinceLastRange(lastSync, { to: '0', overlap: 'a day' })).toThrow('Invalid overlap');
+  });
+});
+
 describe('isIntegerInput', () => {
   test('identifies integer strings', () => {
     expect(isIntegerInput("0")).toBe(true);
@@ -0,0 +1,25 @@
+import { describe, test, expect } from 'vitest';
+import { EXIT_CODES, getSyncExitCode } from '../src/utils/exitCodes.js';
+
+describe('getSyncExitCode', () => {
+  test('reports nothing to do when no work logs were attempted', () => {
+    expect(getSyncExitCode({ successful: [], failed: [] })).toBe(EXIT_CODES.NOTHING_TO_DO);
+  });
+
+  test('reports success when every work log was created', () => {
+    expect(getSyncExitCode({ successful: [{}, {}], failed: [] })).toBe(EXIT_CODES.SUCCESS);
+  });
+
+  test('reports partial failure when some work logs failed', () => {
+    expect(getSyncExitCode({ successful: [{}], failed: [{}] })).toBe(EXIT_CODES.PARTIAL_FAILURE);
+  });
+
+  test('reports every work log failing apart from a fatal error', () => {
+    expect(getSyncExitCode({ successful: [], failed: [{}] })).toBe(EXIT_CODES.ALL_FAILED);
+    expect(EXIT_CODES.ALL_FAILED).not.toBe(EXIT_CODES.FATAL);
+  });
+
+  test('uses distinct codes', () => {
+    expect(new Set(Object.values(EXIT_CODES)).size).toBe(Object.keys(EXIT_CODES).length);
+  });
+});
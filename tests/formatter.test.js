@@ -1,4 +1,6 @@
-import { formatDuration, formatJiraWorkLog, formatJiraWorkLogWithBreakdown, prepareSummaryData } from '../src/utils/formatter.js';
+import { formatDuration, formatJiraWorkLog, formatJiraWorkLogWithBreakdown, formatTimetrackerWorklog, prepareSummaryData } from '../src/utils/formatter.js';
+import { createRoundingRules } from '../src/utils/rounding.js';
+import { createTargetRules } from '../src/utils/targets.js';
 
 describe('formatDuration', () => {
   test('formats hours and minutes', () => {
@@ -196,6 +198,27 @@ describe('formatJiraWorkLogWithBreakdown', () => {
       description: 'ABC-123: Cross-hour work'
     });
   });
+
+  test('rounds the logged time but keeps the breakdown raw', () => {
+    const entries = [
+      { description: 'ABC-123: Fix', durationSeconds: 493, startedAt: '2024-01-01T10:00:00Z' }
+    ];
+
+    const workLog = formatJiraWorkLogWithBreakdown('ABC-123', entries, '2024-01-01', createRoundingRules({ mode: 'nearest' }));
+
+    expect(workLog.timeSpentSeconds).toBe(900);
+    expect(workLog.rawSeconds).toBe(493);
+    expect(workLog.timeBreakdown[0]).toMatchObject({ timeRange: '10:00-10:08', duration: '8m' });
+  });
+});
+
+describe('formatTimetrackerWorklog', () => {
+  test('rounds the duration of the entry', () => {
+    const entry = { description: 'ABC-123: Fix', durationSeconds: 433, startedAt: '2024-01-01T10:00:00Z' };
+
+    expect(formatTimetrackerWorklog(entry).durationInSeconds).toBe(433);
+    expect(formatTimetrackerWorklog(entry, [], 1, createRoundingRules({ mode: 'up', minutes: 5 })).durationInSeconds).toBe(600);
+  });
 });
 
 describe('prepareSummaryData', () => {
@@ -389,4 +412,157 @@ describe('prepareSummaryData', () => {
     expect(summary.totals.alreadySyncedTime).toBe('1h 0m');
     expect(summary.totals.totalTimeSeconds).toBe(3600);
   });
-});
\ No newline at end of file
+
+  test('includes work logs changed since sync', () => {
+    const changedWorkLogs = [
+      {
+        issueKey: 'ABC-123',
+        workLogId: '10001',
+        date: '2024-01-01',
+        entries: [
+          { id: 1, description: 'ABC-123: Task', durationSeconds: 2700, startedAt: '2024-01-01T10:00:00Z' },
+          { id: 2, description: 'ABC-123: Review', durationSeconds: 900, startedAt: '2024-01-01T11:00:00Z' }
+        ],
+        changedEntries: [
+          { id: 1, changes: ['duration'] }
+        ],
+        previousSeconds: 1800 + 900,
+        totalSeconds: 3600
+      }
+    ];
+
+    const summary = prepareSummaryData({}, [], [], {}, changedWorkLogs);
+
+    expect(summary.changedSinceSync).toHaveLength(1);
+    expect(summary.changedSinceSync[0]).toMatchObject({
+      issueKey: 'ABC-123',
+      workLogId: '10001',
+      timeFormatted: '1h 0m',
+      previousTimeFormatted: '45m',
+      changes: ['duration'],
+      description: 'Task; Review',
+      entryCount: 2,
+      changedEntryCount: 1
+    });
+    expect(summary.totals.changedTime).toBe('1h 0m');
+    expect(summary.totals.totalTimeSeconds).toBe(3600);
+  });
+
+  test('lists running timers without counting them', () => {
+    const startedAt = new Date(Date.now() - 90 * 60 * 1000).toISOString();
+    const summary = prepareSummaryData({}, [], [], {}, [], [
+      { id: 7, issueKey: 'ABC-1', description: 'ABC-1 Ongoing', startedAt, isRunning: true }
+    ]);
+
+    expect(summary.stillRunning).toHaveLength(1);
+    expect(summary.stillRunning[0]).toMatchObject({ id: 7, issueKey: 'ABC-1', elapsedFormatted: '1h 30m' });
+    expect(summary.totals.totalTimeSeconds).toBe(0);
+  });
+
+  test('shows rounded and raw Jira time', () => {
+    const jiraEntries = {
+      'ABC-1_2024-01-01': {
+        issueKey: 'ABC-1',
+        date: '2024-01-01',
+        totalSeconds: 840,
+        entries: [
+          { id: 1, description: 'ABC-1 Task', durationSeconds: 420, startedAt: '2024-01-01T10:00:00Z' },
+          { id: 2, description: 'ABC-1 Task', durationSeconds: 420, startedAt: '2024-01-01T11:00:00Z' }
+        ]
+      }
+    };
+    const rounding = createRoundingRules({ mode: 'up' });
+
+    const summary = prepareSummaryData(jiraEntries, [], [], {}, [], [], { rounding });
+
+    expect(summary.jiraWorkLogs[0]).toMatchObject({
+      timeSpentSeconds: 900,
+      timeSpentFormatted: '15m',
+      rawSeconds: 840,
+      rawTimeFormatted: '14m'
+    });
+    expect(summary.totals).toMatchObject({ jiraTimeSeconds: 900, jiraRawTimeSeconds: 840, totalTimeSeconds: 840 });
+
+    const perEntry = prepareSummaryData(jiraEntries, [], [], {}, [], [], {
+      rounding: createRoundingRules({ mode: 'up', scope: 'entry' })
+    });
+    expect(perEntry.jiraWorkLogs[0].timeSpentSeconds).toBe(1800);
+  });
+
+  test('marks work logs that keep their tracked time instead of rounding to nothing', () => {
+    const jiraEntries = {
+      'ABC-1_2024-01-01': {
+        issueKey: 'ABC-1',
+        date: '2024-01-01',
+        totalSeconds: 420,
+        entries: [{ id: 1, issueKey: 'ABC-1', description: 'ABC-1 Work', startedAt: '2024-01-01T09:00:00Z', durationSeconds: 420 }]
+      }
+    };
+
+    const summary = prepareSummaryData(jiraEntries, [], [], {}, [], [], {
+      rounding: createRoundingRules({ mode: 'down', minutes: 15, minimumMinutes: 0 })
+    });
+
+    expect(summary.jiraWorkLogs[0]).toMatchObject({ timeSpentSeconds: 420, keptTrackedTime: true });
+    expect(summary.totals.keptTrackedTimeCount).toBe(1);
+  });
+
+  test('lists entries discarded as too short and counts them in the total', () => {
+    const summary = prepareSummaryData({}, [], [], {}, [], [], {
+      tooShortEntries: [
+        { id: 3, issueKey: 'ABC-1', description: 'ABC-1 Oops', startedAt: '2024-01-01T10:00:00Z', durationSeconds: 12 },
+        { id: 4, issueKey: null, description: '', startedAt: '2024-01-01T11:00:00Z', durationSeconds: 30 }
+      ]
+    });
+
+    expect(summary.tooShort).toHaveLength(2);
+    expect(summary.tooShort[0]).toMatchObject({ id: 3, issueKey: 'ABC-1', durationFormatted: '12s' });
+    expect(summary.tooShort[1].description).toBe('(No description)');
+    expect(summary.totals).toMatchObject({ tooShortTime: '42s', tooShortTimeSeconds: 42, totalTimeSeconds: 42 });
+  });
+
+  test('reports the time of each day against the target', () => {
+    const jiraEntries = {
+      'ABC-1_2024-01-01': {
+        issueKey: 'ABC-1',
+        date: '2024-01-01',
+        totalSeconds: 840,
+        entries: [{ id: 1, issueKey: 'ABC-1', description: 'ABC-1 Work', startedAt: '2024-01-01T09:00:00Z', durationSeconds: 840 }]
+      }
+    };
+    const nonJiraEntries = [
+      { description: 'Meeting', totalSeconds: 3600, entries: [{ id: 2, startedAt: '2024-01-02T09:00:00Z', durationSeconds: 3600 }] }
+    ];
+    const untagged = [
+      { description: 'Meeting', totalSeconds: 3600, entries: [{ id: 2, startedAt: '2024-01-02T09:00:00Z', durationSeconds: 3600 }] }
+    ];
+    const alreadySynced = {
+      'ABC-2': { totalSeconds: 1800, entries: [{ id: 3, startedAt: '2024-01-01T12:00:00Z', durationSeconds: 1800 }] }
+    };
+
+    const summary = prepareSummaryData(jiraEntries, nonJiraEntries, untagged, alreadySynced, [], [], {
+      rounding: createRoundingRules({ mode: 'up' }),
+      targets: { rules: createTargetRules({ hoursPerDay: '8', holidays: [] }), from: '2024-01-01', to: '2024-01-02' }
+    });
+
+    expect(summary.targetReport.days).toEqual([
+      expect.objectContaining({ date: '2024-01-01', jiraSeconds: 2700, nonJiraSeconds: 0, targetSeconds: 28800, status: 'under' }),
+      expect.objectContaining({ date: '2024-01-02', jiraSeconds: 0, nonJiraSeconds: 3600, untaggedSeconds: 3600, bookedSeconds: 3600 })
+    ]);
+    expect(summary.targetReport.weeks).toHaveLength(1);
+    expect(prepareSummaryData({}, [], [], {}, [], []).targetReport).toBeNull();
+  });
+
+  test('reports every work day of an empty period as under target', () => {
+    const summary = prepareSummaryData({}, [], [], {}, [], [], {
+      targets: { rules: createTargetRules({ hoursPerDay: '8', holidays: [] }), from: '2024-01-05', to: '2024-01-08' }
+    });
+
+    expect(summary.targetReport.days.map(day => [day.date, day.targetSeconds, day.status])).toEqual([
+      ['2024-01-05', 28800, 'under'],
+      ['2024-01-06', 0, 'ok'],
+      ['2024-01-07', 0, 'ok'],
+      ['2024-01-08', 28800, 'under']
+    ]);
+  });
+});
@@ -0,0 +1,152 @@
+import { vi, describe, test, expect } from 'vitest';
+import { AxiosError } from 'axios';
+import {
+  createHttpClient,
+  isRetryableError,
+  parseRetryAfter,
+  getRetryDelay,
+  apiError
+} from '../src/api/http.js';
+
+// Answers requests with the given statuses in order
+function createAdapter(responses) {
+  return vi.fn(async (config) => {
+    const { status, headers = {}, code } = responses.shift();
+
+    if (code) {
+      throw new AxiosError('network error', code, config);
+    }
+
+    const response = { data: { status }, status, statusText: String(status), headers, config };
+    if (status >= 400) {
+      throw new AxiosError(`Request failed with status code ${status}`, 'ERR_BAD_RESPONSE', config, null, response);
+    }
+    return response;
+  });
+}
+
+function createTestClient(responses, options = {}) {
+  const adapter = createAdapter(responses);
+  const sleep = vi.fn().mockResolvedValue();
+  const client = createHttpClient({ baseURL: 'https://example.test', adapter }, { sleep, ...options });
+  return { client, adapter, sleep };
+}
+
+describe('createHttpClient', () => {
+  test('retries idempotent requests on retryable statuses', async () => {
+    const { client, adapter, sleep } = createTestClient([{ status: 503 }, { status: 502 }, { status: 200 }]);
+
+    const response = await client.get('/items');
+
+    expect(response.status).toBe(200);
+    expect(adapter).toHaveBeenCalledTimes(3);
+    expect(sleep).toHaveBeenCalledTimes(2);
+  });
+
+  test('honours Retry-After on rate limits, also for POST', async () => {
+    const { client, sleep } = createTestClient([
+      { status: 429, headers: { 'retry-after': '7' } },
+      { status: 201 }
+    ]);
+
+    const response = await client.post('/worklog', {});
+
+    expect(response.status).toBe(201);
+    expect(sleep).toHaveBeenCalledWith(7000);
+  });
+
+  test('holds back other requests while rate limited', async () => {
+    const { client, sleep } = createTestClient([
+      { status: 429, headers: { 'retry-after': '5' } },
+      { status: 201 },
+      { status: 201 }
+    ]);
+
+    await client.post('/worklog', {});
+    await client.post('/worklog', {});
+
+    expect(sleep).toHaveBeenCalledTimes(2);
+    expect(sleep.mock.calls[0][0]).toBe(5000);
+    expect(sleep.mock.calls[1][0]).toBeGreaterThan(4000);
+  });
+
+  test('does not repeat a POST that may have been processed', async () => {
+    const { client, adapter } = createTestClient([{ status: 503 }, { status: 201 }]);
+
+    await expect(client.post('/worklog', {})).rejects.toMatchObject({ retryable: true });
+    expect(adapter).toHaveBeenCalledTimes(1);
+  });
+
+  test('does not retry fatal errors', async () => {
+    const { client, adapter } = createTestClient([{ status: 404 }]);
+
+    await expect(client.get('/issue/ABC-1')).rejects.toMatchObject({ retryable: false });
+    expect(adapter).toHaveBeenCalledTimes(1);
+  });
+
+  test('gives up after the configured number of retries', async () => {
+    const { client, adapter } = createTestClient(
+      [{ status: 503 }, { status: 503 }, { status: 503 }],
+      { retries: 2 }
+    );
+
+    await expect(client.get('/items')).rejects.toMatchObject({ retryable: true });
+    expect(adapter).toHaveBeenCalledTimes(3);
+  });
+
+  test('does not wait out very long Retry-After values', async () => {
+    const { client, sleep } = createTestClient([{ status: 429, headers: { 'retry-after': '3600' } }]);
+
+    await expect(client.get('/items')).rejects.toMatchObject({ retryable: true });
+    expect(sleep).not.toHaveBeenCalled();
+  });
+
+  test('retries network errors', async () => {
+    const { client, adapter } = createTestClient([{ code: 'ECONNRESET' }, { status: 200 }]);
+
+    expect((await client.get('/items')).status).toBe(200);
+    expect(adapter).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('isRetryableError', () => {
+  test('classifies statuses and network codes', () => {
+    expect(isRetryableError({ response: { status: 429 } })).toBe(true);
+    expect(isRetryableError({ response: { status: 504 } })).toBe(true);
+    expect(isRetryableError({ response: { status: 400 } })).toBe(false);
+    expect(isRetryableError({ code: 'ETIMEDOUT' })).toBe(true);
+    expect(isRetryableError({ code: 'ERR_INVALID_URL' })).toBe(false);
+  });
+});
+
+describe('parseRetryAfter', () => {
+  test('parses seconds and HTTP dates', () => {
+    const now = Date.parse('2024-01-01T10:00:00Z');
+
+    expect(parseRetryAfter('5', now)).toBe(5000);
+    expect(parseRetryAfter('Mon, 01 Jan 2024 10:00:30 GMT', now)).toBe(30000);
+    expect(parseRetryAfter(undefined, now)).toBeNull();
+    expect(parseRetryAfter('soon', now)).toBeNull();
+  });
+});
+
+describe('getRetryDelay', () => {
+  const options = { baseDelayMs: 500, maxDelayMs: 4000 };
+
+  test('grows exponentially with jitter and is capped', () => {
+    expect(getRetryDelay(0, options, () => 0)).toBe(250);
+    expect(getRetryDelay(0, options, () => 1)).toBe(500);
+    expect(getRetryDelay(2, options, () => 1)).toBe(2000);
+    expect(getRetryDelay(10, options, () => 1)).toBe(4000);
+  });
+});
+
+describe('apiError', () => {
+  test('keeps status and retryability of the cause', () => {
+    const error = apiError('Failed', { response: { status: 503 } });
+
+    expect(error.message).toBe('Failed');
+    expect(error.status).toBe(503);
+    expect(error.retryable).toBe(true);
+  });
+});
@@ -1,5 +1,5 @@
 import { vi, describe, test, expect, beforeEach, afterEach } from 'vitest';
-import { promptForJiraAssignment, validateAndAssignIssueKey, convertUnassignedToJiraEntries } from '../src/utils/interactive.js';
+import { promptForJiraAssignment, validateAndAssignIssueKey, buildIssueSearchJql, searchIssueChoices, searchAndAssignIssue, promptToRememberAssignment, resolveIssueProblems, convertUnassignedToJiraEntries, getUnassignedGroups } from '../src/utils/interactive.js';
 import inquirer from 'inquirer';
 
 // Mock inquirer
@@ -188,6 +188,138 @@ describe('Interactive Jira Assignment', () => {
     });
   });
 
+  describe('issue search', () => {
+    const group = {
+      description: 'Fix login',
+      entries: [{ id: 1, description: 'Fix login', durationSeconds: 900, startedAt: '2024-01-01T09:00:00Z' }],
+      totalSeconds: 900
+    };
+
+    test('suggests my recent and assigned issues without a term', () => {
+      expect(buildIssueSearchJql('')).toContain('worklogAuthor = currentUser()');
+      expect(buildIssueSearchJql(undefined)).toContain('assignee = currentUser()');
+    });
+
+    test('searches summaries and escapes quotes', () => {
+      expect(buildIssueSearchJql('the "login" page')).toBe('summary ~ "the \\"login\\" page*" ORDER BY updated DESC');
+    });
+
+    test('lists issues with their summary and offers a typed key', async () => {
+      const jiraClient = {
+        searchIssues: vi.fn().mockResolvedValue([{ key: 'WEB-1', fields: { summary: 'Login page' } }])
+      };
+
+      const choices = await searchIssueChoices(jiraClient, 'web-42');
+
+      expect(jiraClient.searchIssues).toHaveBeenCalledWith(expect.any(String), { fields: ['key', 'summary'], maxResults: 20 });
+      expect(choices).toEqual([
+        { name: 'WEB-42  (use this key)', value: 'WEB-42' },
+        { name: 'WEB-1  Login page', value: 'WEB-1' },
+        { name: 'Type an issue key instead', value: null }
+      ]);
+    });
+
+    test('assigns the picked issue', async () => {
+      inquirer.prompt.mockResolvedValueOnce({ issueKey: 'WEB-1' });
+      mockJiraClient.validateIssueKey.mockResolvedValueOnce(true);
+
+      const result = await searchAndAssignIssue(group, mockJiraClient);
+
+      expect(result).toEqual({ issueKey: 'WEB-1', entries: group.entries });
+      expect(inquirer.prompt.mock.calls[0][0][0].type).toBe('search');
+    });
+
+    test('falls back to typing a key', async () => {
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      inquirer.prompt
+        .mockResolvedValueOnce({ issueKey: null })
+        .mockResolvedValueOnce({ inputIssueKey: 'OPS-12' });
+      mockJiraClient.validateIssueKey.mockResolvedValueOnce(true);
+
+      const result = await searchAndAssignIssue(group, mockJiraClient);
+
+      expect(result.issueKey).toBe('OPS-12');
+    });
+  });
+
+  describe('resolveIssueProblems', () => {
+    const problem = (issueKey) => ({
+      issueKey,
+      problem: 'not-found',
+      entries: [{ id: issueKey, description: 'Work', durationSeconds: 600, startedAt: '2024-01-01T09:00:00Z' }],
+      totalSeconds: 600
+    });
+
+    test('collects reassignments and skipped keys', async () => {
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      inquirer.prompt
+        .mockResolvedValueOnce({ action: 'reassign' })
+        .mockResolvedValueOnce({ issueKey: 'ABC-1234' })
+        .mockResolvedValueOnce({ action: 'skip' });
+      mockJiraClient.validateIssueKey.mockResolvedValueOnce(true);
+
+      const result = await resolveIssueProblems([problem('ABC-1243'), problem('OLD-1')], mockJiraClient);
+
+      expect(result.aborted).toBe(false);
+      expect(result.reassignments).toEqual([
+        { issueKey: 'ABC-1234', entries: problem('ABC-1243').entries, previousIssueKey: 'ABC-1243' }
+      ]);
+      expect(result.skipped).toEqual(['OLD-1']);
+    });
+
+    test('stops at abort', async () => {
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      inquirer.prompt.mockResolvedValueOnce({ action: 'abort' });
+
+      const result = await resolveIssueProblems([problem('ABC-1243'), problem('OLD-1')], mockJiraClient);
+
+      expect(result.aborted).toBe(true);
+      expect(inquirer.prompt).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('promptToRememberAssignment', () => {
+    const group = {
+      description: 'Daily standup',
+      entries: [{ id: 1, description: 'Daily standup', durationSeconds: 900, startedAt: '2024-01-01T09:00:00Z' }],
+      totalSeconds: 900
+    };
+
+    test('saves the answer when the user wants it remembered', async () => {
+      const issueMappings = { learn: vi.fn().mockReturnValue({ id: 1 }) };
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      inquirer.prompt.mockResolvedValueOnce({ remember: 'fuzzy' });
+
+      await promptToRememberAssignment(group, 'OPS-12', issueMappings);
+
+      expect(issueMappings.learn).toHaveBeenCalledWith('Daily standup', 'OPS-12', 'fuzzy');
+    });
+
+    test('saves nothing when declined', async () => {
+      const issueMappings = { learn: vi.fn() };
+      inquirer.prompt.mockResolvedValueOnce({ remember: 'no' });
+
+      expect(await promptToRememberAssignment(group, 'OPS-12', issueMappings)).toBeNull();
+      expect(issueMappings.learn).not.toHaveBeenCalled();
+    });
+
+    test('is offered after an assignment when mappings are passed', async () => {
+      const issueMappings = { learn: vi.fn().mockReturnValue({ id: 1 }) };
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      inquirer.prompt
+        .mockResolvedValueOnce({ assignUnassigned: true })
+        .mockResolvedValueOnce({ action: 'assign' })
+        .mockResolvedValueOnce({ inputIssueKey: 'OPS-12' })
+        .mockResolvedValueOnce({ remember: 'exact' });
+      mockJiraClient.validateIssueKey.mockResolvedValueOnce(true);
+
+      const result = await promptForJiraAssignment([group], mockJiraClient, { issueMappings });
+
+      expect(result).toHaveLength(1);
+      expect(issueMappings.learn).toHaveBeenCalledWith('Daily standup', 'OPS-12', 'exact');
+    });
+  });
+
   describe('convertUnassignedToJiraEntries', () => {
     test('converts assignments to Jira entries grouped by issue key and date', () => {
       const assignments = [
@@ -222,6 +354,20 @@ describe('Interactive Jira Assignment', () => {
       expect(result['PROJ-456_2024-01-02'].totalSeconds).toBe(3600);
     });
 
+    test('combines groups assigned to the same issue and date and re-keys their entries', () => {
+      const assignments = [
+        { issueKey: 'PROJ-123', entries: [{ id: 1, issueKey: null, durationSeconds: 600, startedAt: '2024-01-01T14:00:00Z' }] },
+        { issueKey: 'PROJ-123', entries: [{ id: 2, issueKey: 'OLD-1', durationSeconds: 900, startedAt: '2024-01-01T10:00:00Z' }] }
+      ];
+
+      const result = convertUnassignedToJiraEntries(assignments);
+
+      expect(Object.keys(result)).toEqual(['PROJ-123_2024-01-01']);
+      expect(result['PROJ-123_2024-01-01'].entries.map(e => e.id)).toEqual([2, 1]);
+      expect(result['PROJ-123_2024-01-01'].entries.every(e => e.issueKey === 'PROJ-123')).toBe(true);
+      expect(result['PROJ-123_2024-01-01'].totalSeconds).toBe(1500);
+    });
+
     test('handles entries spanning multiple dates for same issue', () => {
       const assignments = [
         {
@@ -265,4 +411,18 @@ describe('Interactive Jira Assignment', () => {
       expect(result).toEqual({});
     });
   });
+
+  describe('getUnassignedGroups', () => {
+    test('keeps the groups that were skipped', () => {
+      const groups = [
+        { description: 'Meeting', entries: [{ id: 1 }, { id: 2 }] },
+        { description: 'Email', entries: [{ id: 3 }] },
+        { description: 'Review', entries: [{ id: 4 }] }
+      ];
+      const assignments = [{ issueKey: 'PROJ-1', entries: groups[0].entries }];
+
+      expect(getUnassignedGroups(groups, assignments).map(group => group.description)).toEqual(['Email', 'Review']);
+      expect(getUnassignedGroups(groups, [])).toEqual(groups);
+    });
+  });
 });
\ No newline at end of file
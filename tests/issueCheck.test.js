@@ -0,0 +1,88 @@
+import { vi, describe, test, expect } from 'vitest';
+import { checkIssueKeys, attachIssueDetails, getIssueProblems, groupIssueProblems, isBlockingProblem, ISSUE_PROBLEMS } from '../src/utils/issueCheck.js';
+
+const issue = (key, project, statusCategory = 'indeterminate') => ({
+  id: String(key.length),
+  key,
+  fields: {
+    summary: `Summary of ${key}`,
+    status: { name: statusCategory === 'done' ? 'Closed' : 'In Progress', statusCategory: { key: statusCategory } },
+    project: { key: project, name: `${project} project` }
+  }
+});
+
+describe('checkIssueKeys', () => {
+  test('flags missing, closed and locked issues', async () => {
+    const jiraClient = {
+      bulkFetchIssues: vi.fn().mockResolvedValue({
+        issues: [issue('ABC-1', 'ABC'), issue('ABC-2', 'ABC', 'done'), issue('OPS-1', 'OPS')],
+        missingKeys: ['ABC-1243']
+      }),
+      canLogWork: vi.fn(async (projectKey) => projectKey === 'ABC')
+    };
+
+    const details = await checkIssueKeys(jiraClient, ['ABC-1', 'ABC-2', 'OPS-1', 'ABC-1243', 'ABC-1']);
+
+    expect(jiraClient.bulkFetchIssues).toHaveBeenCalledWith(['ABC-1', 'ABC-2', 'OPS-1', 'ABC-1243']);
+    expect(jiraClient.canLogWork).toHaveBeenCalledTimes(2);
+    expect(details.get('ABC-1')).toMatchObject({
+      summary: 'Summary of ABC-1',
+      status: 'In Progress',
+      projectKey: 'ABC',
+      problem: null
+    });
+    expect(details.get('ABC-2').problem).toBe(ISSUE_PROBLEMS.CLOSED);
+    expect(details.get('OPS-1').problem).toBe(ISSUE_PROBLEMS.NO_PERMISSION);
+    expect(details.get('ABC-1243')).toMatchObject({ id: null, problem: ISSUE_PROBLEMS.NOT_FOUND });
+  });
+
+  test('makes no request without keys', async () => {
+    const jiraClient = { bulkFetchIssues: vi.fn() };
+
+    expect((await checkIssueKeys(jiraClient, [])).size).toBe(0);
+    expect(jiraClient.bulkFetchIssues).not.toHaveBeenCalled();
+  });
+
+  test('attaches details to work logs and lists problems', () => {
+    const details = new Map([
+      ['ABC-1', { key: 'ABC-1', problem: null }],
+      ['ABC-9', { key: 'ABC-9', problem: ISSUE_PROBLEMS.NOT_FOUND }]
+    ]);
+    const summary = attachIssueDetails({ jiraWorkLogs: [{ issueKey: 'ABC-1' }, { issueKey: 'ABC-9' }, { issueKey: 'XYZ-1' }] }, details);
+
+    expect(summary.jiraWorkLogs[2].issue).toBeNull();
+    expect(getIssueProblems(summary).map(log => log.issueKey)).toEqual(['ABC-9']);
+  });
+
+  test('groups problems by issue key across days', () => {
+    const notFound = { problem: ISSUE_PROBLEMS.NOT_FOUND };
+    const summary = {
+      jiraWorkLogs: [
+        { issueKey: 'ABC-9', issue: notFound, entries: [{ id: 1 }], timeSpentSeconds: 600 },
+        { issueKey: 'ABC-1', issue: { problem: null }, entries: [{ id: 2 }], timeSpentSeconds: 600 },
+        { issueKey: 'ABC-9', issue: notFound, entries: [{ id: 3 }], timeSpentSeconds: 900 }
+      ]
+    };
+
+    const problems = groupIssueProblems(summary);
+
+    expect(problems).toHaveLength(1);
+    expect(problems[0]).toMatchObject({ issueKey: 'ABC-9', problem: ISSUE_PROBLEMS.NOT_FOUND, totalSeconds: 1500 });
+    expect(problems[0].workLogs).toHaveLength(2);
+    expect(problems[0].entries.map(e => e.id)).toEqual([1, 3]);
+  });
+
+  test('only blocks work logs on missing and locked issues', () => {
+    const summary = {
+      jiraWorkLogs: [
+        { issueKey: 'ABC-2', issue: { problem: ISSUE_PROBLEMS.CLOSED }, entries: [{ id: 1 }], timeSpentSeconds: 600 },
+        { issueKey: 'OPS-1', issue: { problem: ISSUE_PROBLEMS.NO_PERMISSION }, entries: [{ id: 2 }], timeSpentSeconds: 600 }
+      ]
+    };
+
+    expect(isBlockingProblem(ISSUE_PROBLEMS.CLOSED)).toBe(false);
+    expect(isBlockingProblem(ISSUE_PROBLEMS.NOT_FOUND)).toBe(true);
+    expect(getIssueProblems(summary).map(log => log.issueKey)).toEqual(['ABC-2', 'OPS-1']);
+    expect(groupIssueProblems(summary).map(problem => problem.issueKey)).toEqual(['OPS-1']);
+  });
+});
@@ -0,0 +1,145 @@
+import { existsSync, unlinkSync, writeFileSync } from 'fs';
+import { IssueMappings, describeMappingRule, normalizeDescription } from '../src/utils/issueMappings.js';
+import { parseTimeEntry } from '../src/utils/parser.js';
+
+const TEST_MAPPINGS_FILE = '.mappings-test.json';
+
+class TestIssueMappings extends IssueMappings {
+  constructor() {
+    super();
+    this.mappingsFile = TEST_MAPPINGS_FILE;
+    this.mappings = this.load();
+  }
+}
+
+function writeMappings(mappings) {
+  writeFileSync(TEST_MAPPINGS_FILE, JSON.stringify(mappings));
+  return new TestIssueMappings();
+}
+
+describe('IssueMappings', () => {
+  afterEach(() => {
+    if (existsSync(TEST_MAPPINGS_FILE)) {
+      unlinkSync(TEST_MAPPINGS_FILE);
+    }
+  });
+
+  test('has no rules without a mappings file', () => {
+    expect(new TestIssueMappings().getRules()).toEqual([]);
+  });
+
+  test('matches by project, client, tag and description in rule order', () => {
+    const mappings = writeMappings({
+      rules: [
+        { issueKey: 'OPS-1', projectId: 100 },
+        { issueKey: 'OPS-2', client: 'acme' },
+        { issueKey: 'OPS-3', tag: 'Meeting' },
+        { issueKey: 'ops-4', description: '^code review' }
+      ]
+    });
+
+    expect(mappings.findIssueKey({ projectId: 100, clientName: 'ACME', description: 'x' }))
+      .toEqual({ issueKey: 'OPS-1', mappingRule: 'project 100' });
+    expect(mappings.findIssueKey({ projectId: 200, clientName: 'ACME' }).issueKey).toBe('OPS-2');
+    expect(mappings.findIssueKey({ tags: ['meeting'] }).issueKey).toBe('OPS-3');
+    expect(mappings.findIssueKey({ description: 'Code review for team' }))
+      .toEqual({ issueKey: 'OPS-4', mappingRule: 'description /^code review/' });
+    expect(mappings.findIssueKey({ description: 'Lunch', tags: [] })).toBeNull();
+  });
+
+  test('requires every condition of a rule to match', () => {
+    const mappings = writeMappings({ rules: [{ issueKey: 'OPS-1', projectId: 100, tag: 'support' }] });
+
+    expect(mappings.findIssueKey({ projectId: 100, tags: [] })).toBeNull();
+    expect(mappings.findIssueKey({ projectId: 100, tags: ['support'] }).issueKey).toBe('OPS-1');
+  });
+
+  test('rejects rules without an issue key or condition and invalid patterns', () => {
+    expect(() => writeMappings({ rules: [{ tag: 'x' }] })).toThrow('Invalid issue mapping #1');
+    expect(() => writeMappings({ rules: [{ issueKey: 'OPS-1' }] })).toThrow('Invalid issue mapping #1');
+    expect(() => writeMappings({ rules: [{ issueKey: 'OPS-1', description: '([' }] })).toThrow('Invalid description pattern');
+  });
+
+  test('is applied by parseTimeEntry only when the entry has no issue key', () => {
+    const mappings = writeMappings({ rules: [{ issueKey: 'OPS-3', tag: 'meeting' }] });
+
+    const mapped = parseTimeEntry({ id: 1, description: 'Standup', duration: 900, tags: ['meeting'] }, undefined, mappings);
+    expect(mapped).toMatchObject({
+      issueKey: 'OPS-3',
+      issueKeySource: 'mapping',
+      mappingRule: 'tag "meeting"',
+      hasJiraIssue: true
+    });
+
+    const keyed = parseTimeEntry({ id: 2, description: 'ABC-1 Standup', duration: 900, tags: ['meeting'] }, undefined, mappings);
+    expect(keyed).toMatchObject({ issueKey: 'ABC-1', issueKeySource: 'description' });
+    expect(keyed.mappingRule).toBeUndefined();
+  });
+
+  test('describes combined rules', () => {
+    expect(describeMappingRule({ client: 'ACME', tag: 'support' })).toBe('client "ACME" + tag "support"');
+  });
+
+  describe('learned rules', () => {
+    test('applies exact answers to the same description only', () => {
+      const mappings = new TestIssueMappings();
+      mappings.learn('Daily standup', 'OPS-12', 'exact');
+
+      const reloaded = new TestIssueMappings();
+      expect(reloaded.findIssueKey({ description: 'Daily standup' }))
+        .toEqual({ issueKey: 'OPS-12', mappingRule: 'learned "Daily standup"' });
+      expect(reloaded.findIssueKey({ description: 'daily standup 03/12' })).toBeNull();
+    });
+
+    test('applies fuzzy answers to similar descriptions', () => {
+      const mappings = new TestIssueMappings();
+      mappings.learn('Daily standup', 'OPS-12', 'fuzzy');
+
+      expect(mappings.findIssueKey({ description: 'daily Standup - 03/12' }).issueKey).toBe('OPS-12');
+      expect(mappings.findIssueKey({ description: 'Weekly standup' })).toBeNull();
+    });
+
+    test('prefers file rules and exact answers', () => {
+      const mappings = writeMappings({ rules: [{ issueKey: 'OPS-1', tag: 'meeting' }] });
+      mappings.learn('Standup', 'OPS-2', 'fuzzy');
+      mappings.learn('standup', 'OPS-3', 'exact');
+
+      expect(mappings.findIssueKey({ description: 'Standup', tags: ['meeting'] }).issueKey).toBe('OPS-1');
+      expect(mappings.findIssueKey({ description: 'standup', tags: [] }).issueKey).toBe('OPS-3');
+      expect(mappings.findIssueKey({ description: 'Standup', tags: [] }).issueKey).toBe('OPS-2');
+    });
+
+    test('replaces an earlier answer for the same description and keeps file rules', () => {
+      const mappings = writeMappings({ rules: [{ issueKey: 'OPS-1', tag: 'meeting' }] });
+      mappings.learn('Standup', 'OPS-2', 'exact');
+      mappings.learn('Standup', 'OPS-3', 'exact');
+
+      const reloaded = new TestIssueMappings();
+      expect(reloaded.getLearnedRules()).toHaveLength(1);
+      expect(reloaded.getLearnedRules()[0]).toMatchObject({ id: 2, issueKey: 'OPS-3' });
+      expect(reloaded.getRules()).toHaveLength(1);
+    });
+
+    test('removes learned rules by id', () => {
+      const mappings = new TestIssueMappings();
+      const first = mappings.learn('Standup', 'OPS-2', 'exact');
+      mappings.learn('Review', 'OPS-3', 'exact');
+
+      const removed = mappings.removeLearnedRules([String(first.id), '99']);
+
+      expect(removed.map(rule => rule.issueKey)).toEqual(['OPS-2']);
+      expect(new TestIssueMappings().getLearnedRules().map(rule => rule.issueKey)).toEqual(['OPS-3']);
+    });
+
+    test('normalizes case, numbers and punctuation', () => {
+      expect(normalizeDescription('  Daily  Standup #3 (team)')).toBe('daily standup team');
+    });
+
+    test('keeps non-Latin letters and ignores accents', () => {
+      expect(normalizeDescription('Reunião diária 03/12')).toBe('reuniao diaria');
+      expect(normalizeDescription('Revisão')).not.toBe(normalizeDescription('Reunião'));
+      expect(normalizeDescription('Ревью кода')).toBe('ревью кода');
+      expect(normalizeDescription('会議')).toBe('会議');
+    });
+  });
+});
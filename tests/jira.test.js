@@ -0,0 +1,102 @@
+import { vi, describe, test, expect } from 'vitest';
+import { JiraClient } from '../src/api/jira.js';
+
+describe('JiraClient', () => {
+  describe('getIssueWorkLogs', () => {
+    test('follows pagination until all work logs are read', async () => {
+      const jiraClient = new JiraClient();
+      jiraClient.client = {
+        get: vi.fn()
+          .mockResolvedValueOnce({ data: { startAt: 0, total: 3, worklogs: [{ id: '1' }, { id: '2' }] } })
+          .mockResolvedValueOnce({ data: { startAt: 2, total: 3, worklogs: [{ id: '3' }] } })
+      };
+
+      const workLogs = await jiraClient.getIssueWorkLogs('ABC-1', {
+        startedAfter: '2024-01-01T00:00:00Z'
+      });
+
+      expect(workLogs.map(w => w.id)).toEqual(['1', '2', '3']);
+      expect(workLogs[0].issueKey).toBe('ABC-1');
+      expect(jiraClient.client.get).toHaveBeenCalledTimes(2);
+      expect(jiraClient.client.get.mock.calls[1][1].params).toMatchObject({
+        startAt: 2,
+        startedAfter: Date.parse('2024-01-01T00:00:00Z')
+      });
+    });
+
+    test('stops on an empty page', async () => {
+      const jiraClient = new JiraClient();
+      jiraClient.client = {
+        get: vi.fn().mockResolvedValueOnce({ data: { startAt: 0, total: 5, worklogs: [] } })
+      };
+
+      expect(await jiraClient.getIssueWorkLogs('ABC-1')).toEqual([]);
+      expect(jiraClient.client.get).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('searchIssues', () => {
+    test('follows next page tokens', async () => {
+      const jiraClient = new JiraClient();
+      jiraClient.client = {
+        get: vi.fn()
+          .mockResolvedValueOnce({ data: { issues: [{ key: 'ABC-1' }], nextPageToken: 'next', isLast: false } })
+          .mockResolvedValueOnce({ data: { issues: [{ key: 'ABC-2' }], isLast: true } })
+      };
+
+      const issues = await jiraClient.searchIssues('worklogAuthor = currentUser()');
+
+      expect(issues.map(i => i.key)).toEqual(['ABC-1', 'ABC-2']);
+      expect(jiraClient.client.get).toHaveBeenCalledWith('/search/jql', {
+        params: expect.objectContaining({ jql: 'worklogAuthor = currentUser()', fields: 'key', nextPageToken: 'next' })
+      });
+    });
+
+    test('stops once maxResults issues were read', async () => {
+      const jiraClient = new JiraClient();
+      jiraClient.client = {
+        get: vi.fn().mockResolvedValueOnce({ data: { issues: [{ key: 'ABC-1' }, { key: 'ABC-2' }], nextPageToken: 'next', isLast: false } })
+      };
+
+      const issues = await jiraClient.searchIssues('text ~ "x"', { maxResults: 1 });
+
+      expect(issues.map(i => i.key)).toEqual(['ABC-1']);
+      expect(jiraClient.client.get).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('bulkFetchIssues', () => {
+    test('fetches in chunks of 100 and collects invalid keys', async () => {
+      const keys = Array.from({ length: 150 }, (_, i) => `ABC-${i + 1}`);
+      const jiraClient = new JiraClient();
+      jiraClient.client = {
+        post: vi.fn()
+          .mockResolvedValueOnce({ data: { issues: [{ id: '1', key: 'ABC-1' }], issueErrors: [] } })
+          .mockResolvedValueOnce({
+            data: { issues: [{ id: '150', key: 'ABC-150' }], issueErrors: [{ invalidIssueIdsOrKeys: ['ABC-149'] }] }
+          })
+      };
+
+      const { issues, missingKeys } = await jiraClient.bulkFetchIssues(keys);
+
+      expect(jiraClient.client.post).toHaveBeenCalledTimes(2);
+      expect(jiraClient.client.post.mock.calls[1][1].issueIdsOrKeys).toHaveLength(50);
+      expect(issues.map(issue => issue.key)).toEqual(['ABC-1', 'ABC-150']);
+      expect(missingKeys).toEqual(['ABC-149']);
+    });
+  });
+
+  describe('canLogWork', () => {
+    test('checks WORK_ON_ISSUES once per project', async () => {
+      const jiraClient = new JiraClient();
+      jiraClient.client = {
+        get: vi.fn().mockResolvedValue({ data: { permissions: { WORK_ON_ISSUES: { havePermission: false } } } })
+      };
+
+      expect(await jiraClient.canLogWork('OPS')).toBe(false);
+      expect(await jiraClient.canLogWork('OPS')).toBe(false);
+      expect(jiraClient.client.get).toHaveBeenCalledTimes(1);
+      expect(jiraClient.client.get.mock.calls[0][1].params).toEqual({ projectKey: 'OPS', permissions: 'WORK_ON_ISSUES' });
+    });
+  });
+});
@@ -0,0 +1,89 @@
+import { describe, test, expect, beforeEach, afterEach } from 'vitest';
+import { config } from '../src/config.js';
+import { splitAtMidnight, splitEntriesAtMidnight, getPartId } from '../src/utils/midnightSplit.js';
+
+const entry = {
+  id: 42,
+  issueKey: 'ABC-1',
+  description: 'ABC-1 Release',
+  startedAt: '2024-01-01T23:00:00Z',
+  durationSeconds: 9000
+};
+
+describe('splitAtMidnight', () => {
+  test('splits an entry crossing midnight into one part per day', () => {
+    const parts = splitAtMidnight(entry);
+
+    expect(parts).toEqual([
+      { ...entry, id: '42@2024-01-01', togglId: 42, part: '2024-01-01', durationSeconds: 3600 },
+      { ...entry, id: '42@2024-01-02', togglId: 42, part: '2024-01-02', startedAt: '2024-01-02T00:00:00.000Z', durationSeconds: 5400 }
+    ]);
+  });
+
+  test('keeps entries within one day whole', () => {
+    expect(splitAtMidnight({ ...entry, durationSeconds: 3600 })).toEqual([{ ...entry, durationSeconds: 3600 }]);
+  });
+
+  test('splits an entry spanning several days', () => {
+    const parts = splitAtMidnight({ ...entry, durationSeconds: 3600 + 86400 + 60 });
+
+    expect(parts.map(part => [part.part, part.durationSeconds])).toEqual([
+      ['2024-01-01', 3600],
+      ['2024-01-02', 86400],
+      ['2024-01-03', 60]
+    ]);
+  });
+
+  describe('in the configured timezone', () => {
+    let timezone;
+
+    beforeEach(() => {
+      timezone = config.timezone;
+      config.timezone = 'Europe/Prague';
+    });
+
+    afterEach(() => {
+      config.timezone = timezone;
+    });
+
+    test('splits at local midnight', () => {
+      // 22:30-00:30 in Prague
+      const parts = splitAtMidnight({ ...entry, startedAt: '2024-01-01T21:30:00Z', durationSeconds: 7200 });
+
+      expect(parts.map(part => [part.id, part.startedAt, part.durationSeconds])).toEqual([
+        ['42@2024-01-01', '2024-01-01T21:30:00Z', 5400],
+        ['42@2024-01-02', '2024-01-01T23:00:00.000Z', 1800]
+      ]);
+    });
+
+    test('does not split an entry crossing midnight in UTC only', () => {
+      expect(splitAtMidnight({ ...entry, startedAt: '2024-01-01T23:30:00Z', durationSeconds: 3600 })).toHaveLength(1);
+    });
+  });
+});
+
+describe('splitEntriesAtMidnight', () => {
+  const synced = (ids) => (id) => ids.includes(id);
+
+  test('splits only when enabled', () => {
+    expect(splitEntriesAtMidnight([entry], { enabled: false, isSynced: synced([]) })).toEqual([entry]);
+    expect(splitEntriesAtMidnight([entry], { enabled: true, isSynced: synced([]) })).toHaveLength(2);
+  });
+
+  test('keeps entries synced whole whole', () => {
+    expect(splitEntriesAtMidnight([entry], { enabled: true, isSynced: synced([42]) })).toEqual([entry]);
+  });
+
+  test('keeps entries synced in parts split when disabled', () => {
+    const result = splitEntriesAtMidnight([entry], { enabled: false, isSynced: synced(['42@2024-01-01']) });
+
+    expect(result.map(part => part.id)).toEqual(['42@2024-01-01', '42@2024-01-02']);
+  });
+
+  test('keeps the part id of an entry edited to end before midnight', () => {
+    const edited = { ...entry, durationSeconds: 1800 };
+    const result = splitEntriesAtMidnight([edited], { enabled: true, isSynced: synced([getPartId(42, '2024-01-01')]) });
+
+    expect(result).toEqual([{ ...edited, id: '42@2024-01-01', togglId: 42, part: '2024-01-01' }]);
+  });
+});
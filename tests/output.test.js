@@ -0,0 +1,133 @@
+import { vi, describe, test, expect, beforeEach, afterEach } from 'vitest';
+import {
+  createReporter,
+  serializeSummary,
+  serializeWorkLogResults,
+  OUTPUT_SCHEMA_VERSION
+} from '../src/utils/output.js';
+import { prepareSummaryData } from '../src/utils/formatter.js';
+
+describe('createReporter', () => {
+  let stdoutSpy;
+  let stderrSpy;
+  let logSpy;
+
+  beforeEach(() => {
+    stdoutSpy = vi.spyOn(process.stdout, 'write').mockImplementation(() => true);
+    stderrSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  test('rejects unknown formats', () => {
+    expect(() => createReporter('xml')).toThrow('Invalid output format: xml');
+  });
+
+  test('table format logs to stdout and emits nothing', () => {
+    const reporter = createReporter('table');
+
+    reporter.log('hello');
+    reporter.begin({ command: 'sync' });
+    reporter.emit('summary', { workLogs: [] });
+    reporter.end({ exitCode: 0 });
+
+    expect(logSpy).toHaveBeenCalledWith('hello');
+    expect(stdoutSpy).not.toHaveBeenCalled();
+  });
+
+  test('json format writes a single document on end', () => {
+    const reporter = createReporter('json');
+
+    reporter.log('progress');
+    reporter.begin({ command: 'sync' });
+    reporter.emit('summary', { workLogs: [] });
+    expect(stdoutSpy).not.toHaveBeenCalled();
+
+    reporter.end({ exitCode: 3 });
+    reporter.end({ exitCode: 1 });
+
+    expect(stderrSpy).toHaveBeenCalledWith('progress');
+    expect(stdoutSpy).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(stdoutSpy.mock.calls[0][0])).toEqual({
+      schemaVersion: OUTPUT_SCHEMA_VERSION,
+      command: 'sync',
+      summary: { workLogs: [] },
+      exitCode: 3
+    });
+  });
+
+  test('ndjson format writes one line per event', () => {
+    const reporter = createReporter('ndjson');
+
+    reporter.begin({ command: 'history:view' });
+    reporter.emit('stats', { totalEntries: 2 });
+    reporter.emitList('issue', [{ issueKey: 'ABC-1' }, { issueKey: 'ABC-2' }]);
+    reporter.end();
+
+    const lines = stdoutSpy.mock.calls.map(call => JSON.parse(call[0]));
+    expect(lines).toEqual([
+      { type: 'start', schemaVersion: OUTPUT_SCHEMA_VERSION, command: 'history:view' },
+      { type: 'stats', totalEntries: 2 },
+      { type: 'issue', issueKey: 'ABC-1' },
+      { type: 'issue', issueKey: 'ABC-2' },
+      { type: 'end' }
+    ]);
+  });
+});
+
+describe('serializeSummary', () => {
+  test('exposes work logs and groups with seconds', () => {
+    const entries = [
+      { id: 1, description: 'ABC-123: Feature', durationSeconds: 3600, startedAt: '2024-01-01T10:00:00Z' }
+    ];
+    const summary = prepareSummaryData(
+      { 'ABC-123_2024-01-01': { issueKey: 'ABC-123', date: '2024-01-01', entries, totalSeconds: 3600 } },
+      [{ description: 'Meeting', entries: [{ id: 2, durationSeconds: 900 }], totalSeconds: 900 }]
+    );
+
+    const serialized = serializeSummary(summary);
+
+    expect(serialized.workLogs).toEqual([
+      {
+        issueKey: 'ABC-123',
+        date: '2024-01-01',
+        startedAt: '2024-01-01T10:00:00Z',
+        timeSpentSeconds: 3600,
+        rawTimeSpentSeconds: 3600,
+        keptTrackedTime: false,
+        entryCount: 1,
+        togglEntryIds: [1],
+        timeBreakdown: [{ timeRange: '10:00-11:00', duration: '1h 0m', description: 'ABC-123: Feature' }],
+        assignedBy: [],
+        issue: null
+      }
+    ]);
+    expect(serialized.nonJiraEntries).toEqual([{ description: 'Meeting', totalSeconds: 900, entryCount: 1 }]);
+    expect(serialized.totals).toMatchObject({ jiraSeconds: 3600, jiraRawSeconds: 3600, nonJiraSeconds: 900, totalSeconds: 4500 });
+  });
+});
+
+describe('serializeWorkLogResults', () => {
+  test('keeps work log ids and errors', () => {
+    const results = {
+      successful: [
+        { issueKey: 'ABC-1', workLogId: '100', date: '2024-01-01', startedAt: '2024-01-01T10:00:00Z', timeSpentSeconds: 60, entries: [{ id: 1 }], comment: 'x' }
+      ],
+      failed: [
+        { issueKey: 'ABC-2', error: '404 - Issue does not exist', retryable: false, entries: [{ id: 2 }, { id: 3 }] }
+      ]
+    };
+
+    expect(serializeWorkLogResults(results)).toEqual({
+      successful: [
+        { issueKey: 'ABC-1', workLogId: '100', date: '2024-01-01', startedAt: '2024-01-01T10:00:00Z', timeSpentSeconds: 60, togglEntryIds: [1] }
+      ],
+      failed: [
+        { issueKey: 'ABC-2', workLogId: null, date: null, startedAt: null, timeSpentSeconds: null, togglEntryIds: [2, 3], error: '404 - Issue does not exist', retryable: false }
+      ]
+    });
+  });
+});
@@ -1,4 +1,4 @@
-import { extractJiraIssueKey, parseTimeEntry, groupEntriesByDescription, groupEntriesByIssueKey, groupEntriesByIssueKeyAndDate } from '../src/utils/parser.js';
+import { extractJiraIssueKey, createIssueKeyRules, findIssueKey, parseTimeEntry, withElapsedDuration, groupEntriesByDescription, groupEntriesByIssueKey, groupEntriesByIssueKeyAndDate } from '../src/utils/parser.js';
 
 describe('extractJiraIssueKey', () => {
   test('extracts valid Jira issue keys', () => {
@@ -22,6 +22,46 @@ describe('extractJiraIssueKey', () => {
   });
 });
 
+describe('issue key rules', () => {
+  test('skips look-alikes outside the allowed projects and accepts lowercase keys', () => {
+    const rules = createIssueKeyRules({ projects: ['ABC'] });
+
+    expect(extractJiraIssueKey('UTF-8 fix for abc-12', rules)).toBe('ABC-12');
+    expect(extractJiraIssueKey('ISO-9001 audit', rules)).toBeNull();
+  });
+
+  test('keeps the default pattern case-sensitive without an allow-list', () => {
+    expect(extractJiraIssueKey('abc-12 fix', createIssueKeyRules())).toBeNull();
+  });
+
+  test('uses custom patterns with their capture group', () => {
+    const rules = createIssueKeyRules({ patterns: ['/#(\\w+-\\d+)/i'] });
+
+    expect(extractJiraIssueKey('Work on #web-42', rules)).toBe('WEB-42');
+  });
+
+  test('searches sources in priority order and reports the match', () => {
+    const entry = {
+      description: 'Daily standup',
+      projectName: 'OPS-7 Operations',
+      clientName: 'ACME-1',
+      tags: ['dev', 'DEV-3']
+    };
+
+    expect(findIssueKey(entry, createIssueKeyRules({ sources: ['description', 'tag', 'project'] })))
+      .toEqual({ issueKey: 'DEV-3', issueKeySource: 'tag' });
+    expect(findIssueKey(entry, createIssueKeyRules({ sources: ['client', 'project'] })))
+      .toEqual({ issueKey: 'ACME-1', issueKeySource: 'client' });
+    expect(findIssueKey(entry, createIssueKeyRules()))
+      .toEqual({ issueKey: null, issueKeySource: null });
+  });
+
+  test('rejects unknown sources and invalid patterns', () => {
+    expect(() => createIssueKeyRules({ sources: ['summary'] })).toThrow('Unknown issue key source');
+    expect(() => createIssueKeyRules({ patterns: ['(['] })).toThrow('Invalid issue key pattern');
+  });
+});
+
 describe('parseTimeEntry', () => {
   test('parses entry with Jira issue', () => {
     const entry = {
@@ -37,7 +77,9 @@ describe('parseTimeEntry', () => {
       description: 'ABC-123: Working on feature',
       durationSeconds: 3600,
       startedAt: '2024-01-01T10:00:00Z',
+      isRunning: false,
       issueKey: 'ABC-123',
+      issueKeySource: 'description',
       hasJiraIssue: true,
       hasTags: false,
       tags: []
@@ -58,7 +100,9 @@ describe('parseTimeEntry', () => {
       description: 'Team meeting',
       durationSeconds: 1800,
       startedAt: '2024-01-01T14:00:00Z',
+      isRunning: false,
       issueKey: null,
+      issueKeySource: null,
       hasJiraIssue: false,
       hasTags: false,
       tags: []
@@ -75,6 +119,18 @@ describe('parseTimeEntry', () => {
 
     const parsed = parseTimeEntry(entry);
     expect(parsed.durationSeconds).toBe(0);
+    expect(parsed.isRunning).toBe(true);
+  });
+});
+
+describe('withElapsedDuration', () => {
+  test('counts a running timer up to now', () => {
+    const entry = { id: 3, durationSeconds: 0, startedAt: '2024-01-01T15:00:00Z', isRunning: true };
+
+    const counted = withElapsedDuration(entry, '2024-01-01T16:30:20Z');
+    expect(counted.durationSeconds).toBe(5420);
+    expect(counted.isRunning).toBe(true);
+    expect(entry.durationSeconds).toBe(0);
   });
 });
 
@@ -0,0 +1,105 @@
+import { describe, test, expect } from 'vitest';
+import {
+  createRoundingRules,
+  getRoundingForMode,
+  roundSeconds,
+  roundsToNothing,
+  roundEntriesSeconds,
+  entriesRoundToNothing
+} from '../src/utils/rounding.js';
+
+const minutes = (value) => value * 60;
+
+describe('createRoundingRules', () => {
+  test('defaults to no rounding', () => {
+    expect(createRoundingRules()).toEqual({ mode: 'none', stepSeconds: 900, minimumSeconds: 0, scope: 'group' });
+  });
+
+  test('rejects unknown modes and scopes', () => {
+    expect(() => createRoundingRules({ mode: 'ceil' })).toThrow('Invalid rounding mode');
+    expect(() => createRoundingRules({ scope: 'day' })).toThrow('Invalid rounding scope');
+  });
+
+  test('rejects a zero step and a negative minimum', () => {
+    expect(() => createRoundingRules({ minutes: 0 })).toThrow('Rounding minutes');
+    expect(() => createRoundingRules({ minimumMinutes: -5 })).toThrow('Rounding minutes');
+  });
+});
+
+describe('roundSeconds', () => {
+  const seconds = minutes(7) + 13;
+
+  test('leaves durations untouched without rounding', () => {
+    expect(roundSeconds(seconds)).toBe(seconds);
+  });
+
+  test('rounds to the nearest step', () => {
+    const rules = createRoundingRules({ mode: 'nearest', minutes: 15 });
+    expect(roundSeconds(minutes(8), rules)).toBe(minutes(15));
+    expect(roundSeconds(minutes(37), rules)).toBe(minutes(30));
+  });
+
+  test('rounds up and down', () => {
+    expect(roundSeconds(minutes(16), createRoundingRules({ mode: 'up' }))).toBe(minutes(30));
+    expect(roundSeconds(minutes(29), createRoundingRules({ mode: 'down' }))).toBe(minutes(15));
+  });
+
+  test('keeps the tracked time of work below one step instead of billing a full step', () => {
+    const down = createRoundingRules({ mode: 'down', minutes: 15, minimumMinutes: 0 });
+    expect(roundSeconds(seconds, down)).toBe(seconds);
+    expect(roundSeconds(minutes(20), down)).toBe(minutes(15));
+
+    const nearest = createRoundingRules({ mode: 'nearest', minutes: 15, minimumMinutes: 0 });
+    expect(roundSeconds(minutes(2), nearest)).toBe(minutes(2));
+    expect(roundSeconds(minutes(8), nearest)).toBe(minutes(15));
+  });
+
+  test('uses the minimum as the floor below one step', () => {
+    const rules = createRoundingRules({ mode: 'down', minutes: 15, minimumMinutes: 5 });
+    expect(roundSeconds(seconds, rules)).toBe(minutes(5));
+  });
+
+  test('tells which durations round to nothing', () => {
+    const down = createRoundingRules({ mode: 'down' });
+    expect(roundsToNothing(seconds, down)).toBe(true);
+    expect(roundsToNothing(minutes(20), down)).toBe(false);
+    expect(roundsToNothing(seconds, createRoundingRules({ mode: 'down', minimumMinutes: 5 }))).toBe(false);
+    expect(roundsToNothing(seconds)).toBe(false);
+  });
+
+  test('applies the minimum duration', () => {
+    const rules = createRoundingRules({ minimumMinutes: 30 });
+    expect(roundSeconds(seconds, rules)).toBe(minutes(30));
+    expect(roundSeconds(minutes(45), rules)).toBe(minutes(45));
+  });
+
+  test('keeps empty durations empty', () => {
+    expect(roundSeconds(0, createRoundingRules({ mode: 'up', minimumMinutes: 15 }))).toBe(0);
+  });
+});
+
+describe('roundEntriesSeconds', () => {
+  const entries = [{ durationSeconds: minutes(7) }, { durationSeconds: minutes(7) }];
+
+  test('rounds the total of a group', () => {
+    expect(roundEntriesSeconds(entries, createRoundingRules({ mode: 'up' }))).toBe(minutes(15));
+  });
+
+  test('tells whether a work log keeps tracked time that rounds to nothing', () => {
+    const down = createRoundingRules({ mode: 'down' });
+    expect(roundEntriesSeconds(entries, down)).toBe(minutes(14));
+    expect(entriesRoundToNothing(entries, down)).toBe(true);
+    expect(entriesRoundToNothing([...entries, { durationSeconds: minutes(7) }], down)).toBe(false);
+    expect(entriesRoundToNothing([...entries, { durationSeconds: minutes(20) }], { ...down, scope: 'entry' })).toBe(true);
+  });
+
+  test('rounds each entry with entry scope', () => {
+    expect(roundEntriesSeconds(entries, createRoundingRules({ mode: 'up', scope: 'entry' }))).toBe(minutes(30));
+  });
+
+  test('rounds per entry in Timetracker mode, which logs every entry', () => {
+    const rules = createRoundingRules({ mode: 'up' });
+    expect(getRoundingForMode(rules, 'jira').scope).toBe('group');
+    expect(getRoundingForMode(rules, 'timetracker').scope).toBe('entry');
+  });
+});
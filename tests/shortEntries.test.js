@@ -0,0 +1,93 @@
+import { describe, test, expect } from 'vitest';
+import {
+  createShortEntryRules,
+  separateShortEntries,
+  combineMergedEntries
+} from '../src/utils/shortEntries.js';
+
+const entry = (id, issueKey, startedAt, durationSeconds, description = `${issueKey} Work`) => ({
+  id,
+  issueKey,
+  description,
+  startedAt,
+  durationSeconds
+});
+
+describe('createShortEntryRules', () => {
+  test('is off by default', () => {
+    expect(createShortEntryRules()).toEqual({ minimumSeconds: 0, action: 'discard' });
+  });
+
+  test('rejects unknown actions and negative thresholds', () => {
+    expect(() => createShortEntryRules({ action: 'drop' })).toThrow('Invalid short entry action');
+    expect(() => createShortEntryRules({ minimumSeconds: -1 })).toThrow("can't be negative");
+  });
+});
+
+describe('separateShortEntries', () => {
+  const entries = [
+    entry(1, 'ABC-1', '2024-01-01T09:00:00Z', 3600),
+    entry(2, 'ABC-1', '2024-01-01T10:00:05Z', 20),
+    entry(3, 'ABC-2', '2024-01-01T11:00:00Z', 15),
+    entry(4, 'ABC-1', '2024-01-02T09:00:00Z', 10),
+    entry(5, 'ABC-1', '2024-01-01T16:00:00Z', 1800)
+  ];
+
+  test('keeps every entry without a threshold', () => {
+    const result = separateShortEntries(entries, createShortEntryRules());
+
+    expect(result.entries).toBe(entries);
+    expect(result.discarded).toEqual([]);
+  });
+
+  test('discards entries below the threshold', () => {
+    const result = separateShortEntries(entries, createShortEntryRules({ minimumSeconds: 60 }));
+
+    expect(result.entries.map(e => e.id)).toEqual([1, 5]);
+    expect(result.discarded.map(e => e.id)).toEqual([2, 3, 4]);
+  });
+
+  test('merges into the closest entry of the same issue and day', () => {
+    const result = separateShortEntries(entries, createShortEntryRules({ minimumSeconds: 60, action: 'merge' }));
+
+    expect(result.entries.map(e => e.id)).toEqual([1, 2, 5]);
+    expect(result.merged).toEqual([{ ...entries[1], mergedInto: 1 }]);
+    // No other ABC-2 entry, and ABC-1 has no long entry on the 2nd
+    expect(result.discarded.map(e => e.id)).toEqual([3, 4]);
+  });
+
+  test('merges entries without an issue key by description', () => {
+    const result = separateShortEntries(
+      [
+        entry(1, null, '2024-01-01T09:00:00Z', 1800, 'Meeting'),
+        entry(2, null, '2024-01-01T09:31:00Z', 30, 'Meeting'),
+        entry(3, null, '2024-01-01T09:32:00Z', 30, 'Review')
+      ],
+      createShortEntryRules({ minimumSeconds: 60, action: 'merge' })
+    );
+
+    expect(result.merged.map(e => e.id)).toEqual([2]);
+    expect(result.discarded.map(e => e.id)).toEqual([3]);
+  });
+});
+
+describe('combineMergedEntries', () => {
+  test('adds merged entries to the work log of their host', () => {
+    const host = entry(1, 'ABC-1', '2024-01-01T09:00:00Z', 3600);
+    const merged = { ...entry(2, 'ABC-1', '2024-01-01T10:00:05Z', 20), mergedInto: 1 };
+    const other = entry(3, 'ABC-1', '2024-01-01T16:00:00Z', 1800);
+
+    const sources = combineMergedEntries([host, merged, other]);
+
+    expect(sources).toHaveLength(2);
+    expect(sources[0].entry).toMatchObject({ id: 1, durationSeconds: 3620 });
+    expect(sources[0].entries).toEqual([host, merged]);
+    expect(sources[1].entries).toEqual([other]);
+  });
+
+  test('keeps a merged entry whose host is missing on its own', () => {
+    const merged = { ...entry(2, 'ABC-1', '2024-01-01T10:00:05Z', 20), mergedInto: 1 };
+
+    expect(combineMergedEntries([merged])[0].entries).toEqual([merged]);
+  });
+});
@@ -8,9 +8,9 @@ const __dirname = dirname(__filename);
 const CLI_PATH = join(__dirname, '..', 'src', 'index.js');
 const packageJson = JSON.parse(readFileSync(join(__dirname, '..', 'package.json'), 'utf8'));
 
-function runCLI(args = [], timeout = 5000, clearEnv = false) {
+function runCLI(args = [], timeout = 5000, clearEnv = false, extraEnv = {}) {
   return new Promise((resolve, reject) => {
-    let env = { ...process.env, NODE_ENV: 'test' };
+    let env = { ...process.env, NODE_ENV: 'test', ...extraEnv };
     
     if (clearEnv) {
       // Clear only the specific env vars we care about
@@ -66,6 +66,11 @@ describe('CLI Smoke Tests', () => {
     expect(result.stdout).toContain('config');
     expect(result.stdout).toContain('history:view');
     expect(result.stdout).toContain('history:clear');
+    expect(result.stdout).toContain('history:revert');
+    expect(result.stdout).toContain('history:orphans');
+    expect(result.stdout).toContain('history:rebuild');
+    expect(result.stdout).toContain('mappings:list');
+    expect(result.stdout).toContain('mappings:remove');
   });
 
   test('shows version information', async () => {
@@ -83,6 +88,11 @@ describe('CLI Smoke Tests', () => {
     expect(result.stdout).toContain('--from');
     expect(result.stdout).toContain('--to');
     expect(result.stdout).toContain('--dry-run');
+    expect(result.stdout).toContain('--yes');
+    expect(result.stdout).toContain('--non-interactive');
+    expect(result.stdout).toContain('--retry-failed');
+    expect(result.stdout).toContain('--concurrency');
+    expect(result.stdout).toContain('--include-running');
   });
 
   test('config command is callable', async () => {
@@ -127,7 +137,8 @@ describe('CLI Smoke Tests', () => {
     // Sync command behavior depends on whether .env file exists
     // If .env exists with valid config, it succeeds (code 0)
     // If .env is missing or invalid, it fails (code 1)
-    if (result.code === 0) {
+    // Nothing to sync exits with code 3
+    if (result.code === 0 || result.code === 3) {
       // Config was loaded from .env file
       expect(
         result.stdout.includes('Dry run mode') || 
@@ -141,6 +152,20 @@ describe('CLI Smoke Tests', () => {
     }
   });
 
+  test('sync command fails instead of prompting without a terminal', async () => {
+    const result = await runCLI(['sync'], 5000, false, {
+      TOGGL_API_TOKEN: 'test-toggl-token',
+      TOGGL_WORKSPACE_ID: '123',
+      JIRA_API_TOKEN: 'test-jira-token',
+      JIRA_EMAIL: 'test@example.com',
+      JIRA_DOMAIN: 'test.atlassian.net',
+      TIMETRACKER_JIRA_API_TOKEN: 'test-timetracker-token'
+    });
+
+    expect(result.code).toBe(1);
+    expect(result.stderr).toContain('Use --yes');
+  });
+
   test('invalid command shows error', async () => {
     const result = await runCLI(['invalid-command']);
     
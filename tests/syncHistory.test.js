@@ -1,5 +1,5 @@
 import { existsSync, unlinkSync } from 'fs';
-import { SyncHistory } from '../src/utils/syncHistory.js';
+import { SyncHistory, getRecordEntryId } from '../src/utils/syncHistory.js';
 
 const TEST_HISTORY_FILE = '.sync-history-test.json';
 
@@ -89,6 +89,24 @@ describe('SyncHistory', () => {
     });
   });
 
+  describe('entries split at midnight', () => {
+    test('records each part under its own id with the Toggl id', () => {
+      const parts = [
+        { id: '42@2024-01-01', togglId: 42, part: '2024-01-01', description: 'Release', durationSeconds: 3600, startedAt: '2024-01-01T23:00:00Z' },
+        { id: '42@2024-01-02', togglId: 42, part: '2024-01-02', description: 'Release', durationSeconds: 5400, startedAt: '2024-01-02T00:00:00.000Z' }
+      ];
+
+      syncHistory.markEntriesAsSynced(parts, 'ABC-1', 'worklog-1');
+
+      const record = syncHistory.getSyncedEntry('42@2024-01-02');
+      expect(record).toMatchObject({ togglId: 42, part: '2024-01-02', durationSeconds: 5400 });
+      expect(getRecordEntryId(record)).toBe('42@2024-01-02');
+      expect(syncHistory.isEntrySynced(42)).toBe(false);
+      expect(syncHistory.filterUnsyncedEntries(parts).synced).toHaveLength(2);
+      expect(syncHistory.findOrphanedEntries([{ id: 42 }])).toEqual([]);
+    });
+  });
+
   describe('filterUnsyncedEntries', () => {
     test('separates synced and unsynced entries', () => {
       // Mark entry 1 as synced
@@ -112,6 +130,30 @@ describe('SyncHistory', () => {
       expect(synced[0].syncInfo).toBeDefined();
     });
 
+    test('separates entries changed in Toggl since they were synced', () => {
+      syncHistory.markEntriesAsSynced(
+        [
+          { id: 1, description: 'Task', durationSeconds: 3600, startedAt: '2024-01-01T10:00:00Z' },
+          { id: 2, description: 'Other task', durationSeconds: 1800, startedAt: '2024-01-01T12:00:00Z' }
+        ],
+        'ABC-123',
+        'worklog-123'
+      );
+
+      const entries = [
+        { id: 1, description: 'Task (edited)', durationSeconds: 4500, startedAt: '2024-01-01T10:00:00Z' },
+        { id: 2, description: 'Other task', durationSeconds: 1800, startedAt: '2024-01-01T12:00:00+00:00' }
+      ];
+
+      const { synced, unsynced, changed } = syncHistory.filterUnsyncedEntries(entries);
+
+      expect(unsynced).toHaveLength(0);
+      expect(synced.map(e => e.id)).toEqual([2]);
+      expect(changed).toHaveLength(1);
+      expect(changed[0].changes).toEqual(['duration', 'description']);
+      expect(changed[0].syncInfo.durationSeconds).toBe(3600);
+    });
+
     test('returns all entries as unsynced when none are synced', () => {
       const entries = [
         { id: 1, description: 'Task 1', durationSeconds: 3600, startedAt: '2024-01-01T10:00:00Z' },
@@ -125,6 +167,89 @@ describe('SyncHistory', () => {
     });
   });
 
+  describe('groupChangedEntriesByWorkLog', () => {
+    test('includes unchanged entries sharing the work log', () => {
+      syncHistory.markEntriesAsSynced(
+        [
+          { id: 1, description: 'Task', durationSeconds: 3600, startedAt: '2024-01-01T10:00:00Z' },
+          { id: 2, description: 'Task', durationSeconds: 1800, startedAt: '2024-01-01T08:00:00Z' }
+        ],
+        'ABC-123',
+        'worklog-123',
+        'jira'
+      );
+
+      const { synced, changed } = syncHistory.filterUnsyncedEntries([
+        { id: 1, description: 'Task', durationSeconds: 900, startedAt: '2024-01-01T10:00:00Z' },
+        { id: 2, description: 'Task', durationSeconds: 1800, startedAt: '2024-01-01T08:00:00Z' }
+      ]);
+
+      const workLogs = syncHistory.groupChangedEntriesByWorkLog(changed, synced);
+
+      expect(workLogs).toHaveLength(1);
+      expect(workLogs[0]).toMatchObject({
+        target: 'jira',
+        issueKey: 'ABC-123',
+        workLogId: 'worklog-123',
+        date: '2024-01-01',
+        previousSeconds: 5400,
+        totalSeconds: 2700
+      });
+      expect(workLogs[0].entries.map(e => e.id)).toEqual([2, 1]);
+      expect(workLogs[0].changedEntries.map(e => e.id)).toEqual([1]);
+    });
+  });
+
+  describe('updateSyncedEntries', () => {
+    test('refreshes the stored snapshot and keeps the sync run', () => {
+      syncHistory.markEntriesAsSynced(
+        [{ id: 1, description: 'Task', durationSeconds: 3600, startedAt: '2024-01-01T10:00:00Z' }],
+        'ABC-123',
+        'worklog-123'
+      );
+      const runId = syncHistory.getSyncedEntry(1).syncRunId;
+
+      syncHistory.updateSyncedEntries([
+        { id: 1, description: 'Task (edited)', durationSeconds: 900, startedAt: '2024-01-01T10:30:00Z' }
+      ]);
+
+      const record = syncHistory.getSyncedEntry(1);
+      expect(record.durationSeconds).toBe(900);
+      expect(record.description).toBe('Task (edited)');
+      expect(record.syncRunId).toBe(runId);
+      expect(record.updatedAt).toBeDefined();
+      expect(syncHistory.getEntryChanges(
+        { id: 1, description: 'Task (edited)', durationSeconds: 900, startedAt: '2024-01-01T10:30:00Z' }
+      )).toEqual([]);
+    });
+  });
+
+  describe('running timers', () => {
+    const running = { id: 1, description: 'Task', durationSeconds: 1800, startedAt: '2024-01-01T10:00:00Z', isRunning: true };
+
+    test('records synced running timers as provisional', () => {
+      syncHistory.markEntriesAsSynced([running], 'ABC-1', 'w1', 'jira');
+
+      expect(syncHistory.getSyncedEntry(1).provisional).toBe(true);
+    });
+
+    test('reports a stopped timer as changed even with the same duration', () => {
+      syncHistory.markEntriesAsSynced([running], 'ABC-1', 'w1', 'jira');
+
+      const { changed } = syncHistory.filterUnsyncedEntries([{ ...running, isRunning: false }]);
+      expect(changed).toHaveLength(1);
+      expect(changed[0].changes).toEqual(['stopped']);
+    });
+
+    test('becomes final once updated with the stopped entry', () => {
+      syncHistory.markEntriesAsSynced([running], 'ABC-1', 'w1', 'jira');
+      syncHistory.updateSyncedEntries([{ ...running, durationSeconds: 2400, isRunning: false }]);
+
+      expect(syncHistory.getSyncedEntry(1).provisional).toBeUndefined();
+      expect(syncHistory.getEntryChanges({ ...running, durationSeconds: 2400, isRunning: false })).toEqual([]);
+    });
+  });
+
   describe('groupSyncedEntriesByIssue', () => {
     test('groups synced entries by Jira issue', () => {
       // Set up synced entries with different issues
@@ -187,6 +312,222 @@ describe('SyncHistory', () => {
     });
   });
 
+  describe('last successful sync', () => {
+    test('is empty until a run succeeds', () => {
+      expect(syncHistory.getLastSuccessfulSync()).toBeNull();
+    });
+
+    test('persists the end of the run', () => {
+      syncHistory.recordSuccessfulSync(new Date('2024-01-07T23:59:59.999Z'));
+
+      const reloaded = new TestSyncHistory();
+      expect(reloaded.getLastSuccessfulSync()).toMatchObject({
+        to: '2024-01-07T23:59:59.999Z',
+        syncRunId: syncHistory.runId
+      });
+      expect(reloaded.getStats().lastSuccessfulSync.to).toBe('2024-01-07T23:59:59.999Z');
+    });
+
+    test('only moves forward', () => {
+      syncHistory.recordSuccessfulSync(new Date('2024-01-07T23:59:59.999Z'));
+      syncHistory.recordSuccessfulSync(new Date('2023-12-31T23:59:59.999Z'));
+
+      expect(syncHistory.getLastSuccessfulSync().to).toBe('2024-01-07T23:59:59.999Z');
+
+      syncHistory.recordSuccessfulSync(new Date('2024-01-14T23:59:59.999Z'));
+      expect(syncHistory.getLastSuccessfulSync().to).toBe('2024-01-14T23:59:59.999Z');
+    });
+
+    test('stops at the earliest entry that was skipped or left pending', () => {
+      syncHistory.recordSuccessfulSync(new Date('2024-01-07T23:59:59.999Z'), [
+        { id: 2, startedAt: '2024-01-05T14:00:00Z' },
+        { id: 1, startedAt: '2024-01-03T09:00:00Z' }
+      ]);
+
+      expect(syncHistory.getLastSuccessfulSync().to).toBe('2024-01-03T09:00:00.000Z');
+    });
+
+    test('moves back to a pending entry before the previous point', () => {
+      syncHistory.recordSuccessfulSync(new Date('2024-01-07T23:59:59.999Z'));
+      syncHistory.recordSuccessfulSync(new Date('2024-01-08T23:59:59.999Z'), [
+        { id: 1, startedAt: '2024-01-06T09:00:00Z' }
+      ]);
+
+      expect(syncHistory.getLastSuccessfulSync().to).toBe('2024-01-06T09:00:00.000Z');
+    });
+  });
+
+  describe('sync runs', () => {
+    test('records target and run id for synced entries', () => {
+      syncHistory.markEntriesAsSynced(
+        [{ id: 1, description: 'Test', durationSeconds: 3600, startedAt: '2024-01-01T10:00:00Z' }],
+        'ABC-123',
+        'worklog-123',
+        'jira'
+      );
+
+      const syncedEntry = syncHistory.getSyncedEntry(1);
+      expect(syncedEntry.target).toBe('jira');
+      expect(syncedEntry.syncRunId).toBe(syncHistory.runId);
+    });
+
+    test('groups records by sync run, newest first', () => {
+      syncHistory.history.syncedEntries = {
+        1: { togglId: 1, durationSeconds: 600, startedAt: '2024-01-01T10:00:00Z', jiraIssueKey: 'ABC-1', jiraWorkLogId: 'w1', syncRunId: 'run-1', syncedAt: '2024-01-01T12:00:00.000Z' },
+        2: { togglId: 2, durationSeconds: 900, startedAt: '2024-01-01T11:00:00Z', jiraIssueKey: 'ABC-2', jiraWorkLogId: 'w2', syncRunId: 'run-1', syncedAt: '2024-01-01T12:00:01.000Z' },
+        3: { togglId: 3, durationSeconds: 300, startedAt: '2024-01-02T10:00:00Z', jiraIssueKey: 'ABC-1', jiraWorkLogId: 'w3', syncedAt: '2024-01-02T12:00:00.000Z' }
+      };
+
+      const runs = syncHistory.getSyncRuns();
+
+      expect(runs).toHaveLength(2);
+      expect(runs[0].runId).toBe('2024-01-02T12:00:00.000Z');
+      expect(runs[1].runId).toBe('run-1');
+      expect(runs[1].records).toHaveLength(2);
+      expect(runs[1].totalSeconds).toBe(1500);
+      expect(runs[1].issueKeys).toEqual(['ABC-1', 'ABC-2']);
+    });
+
+    test('finds entries by issue key and date range', () => {
+      syncHistory.history.syncedEntries = {
+        1: { togglId: 1, durationSeconds: 600, startedAt: '2024-01-01T10:00:00Z', jiraIssueKey: 'ABC-1', jiraWorkLogId: 'w1' },
+        2: { togglId: 2, durationSeconds: 900, startedAt: '2024-01-03T11:00:00Z', jiraIssueKey: 'ABC-1', jiraWorkLogId: 'w2' },
+        3: { togglId: 3, durationSeconds: 300, startedAt: '2024-01-03T12:00:00Z', jiraIssueKey: 'ABC-2', jiraWorkLogId: 'w3' }
+      };
+
+      expect(syncHistory.findEntries({ issueKey: 'ABC-1' }).map(r => r.togglId)).toEqual([1, 2]);
+      expect(syncHistory.findEntries({ from: '2024-01-02T00:00:00Z' }).map(r => r.togglId)).toEqual([2, 3]);
+      expect(syncHistory.findEntries({ issueKey: 'ABC-1', to: '2024-01-02T00:00:00Z' }).map(r => r.togglId)).toEqual([1]);
+    });
+
+    test('expands a selection to every entry sharing its work logs', () => {
+      syncHistory.markEntriesAsSynced(
+        [
+          { id: 1, description: 'Task 1', durationSeconds: 600, startedAt: '2024-01-01T10:00:00Z' },
+          { id: 2, description: 'Task 2', durationSeconds: 900, startedAt: '2024-01-01T11:00:00Z' }
+        ],
+        'ABC-1',
+        'w1',
+        'jira'
+      );
+      syncHistory.markEntriesAsSynced(
+        [{ id: 3, description: 'Task 3', durationSeconds: 300, startedAt: '2024-01-01T12:00:00Z' }],
+        'ABC-1',
+        'w2',
+        'jira'
+      );
+
+      const expanded = syncHistory.expandToWorkLogs([syncHistory.getSyncedEntry(1)]);
+      const workLogs = syncHistory.groupEntriesByWorkLog(expanded);
+
+      expect(expanded.map(r => r.togglId)).toEqual([1, 2]);
+      expect(workLogs).toHaveLength(1);
+      expect(workLogs[0]).toMatchObject({ target: 'jira', issueKey: 'ABC-1', workLogId: 'w1', totalSeconds: 1500 });
+    });
+
+    test('finds history records whose Toggl entry no longer exists', () => {
+      syncHistory.markEntriesAsSynced(
+        [
+          { id: 1, description: 'Task 1', durationSeconds: 600, startedAt: '2024-01-01T10:00:00Z' },
+          { id: 2, description: 'Task 2', durationSeconds: 900, startedAt: '2024-01-01T11:00:00Z' },
+          { id: 3, description: 'Task 3', durationSeconds: 300, startedAt: '2024-01-05T12:00:00Z' }
+        ],
+        'ABC-1',
+        'w1'
+      );
+
+      const orphans = syncHistory.findOrphanedEntries(
+        [{ id: 1 }],
+        { from: '2024-01-01T00:00:00Z', to: '2024-01-02T00:00:00Z' }
+      );
+
+      expect(orphans.map(r => r.togglId)).toEqual([2]);
+    });
+
+    test('removes entries from history', () => {
+      syncHistory.markEntriesAsSynced(
+        [
+          { id: 1, description: 'Task 1', durationSeconds: 600, startedAt: '2024-01-01T10:00:00Z' },
+          { id: 2, description: 'Task 2', durationSeconds: 900, startedAt: '2024-01-01T11:00:00Z' }
+        ],
+        'ABC-1',
+        'w1'
+      );
+
+      syncHistory.removeEntries([1]);
+
+      expect(syncHistory.isEntrySynced(1)).toBe(false);
+      expect(new TestSyncHistory().isEntrySynced(2)).toBe(true);
+    });
+  });
+
+  describe('failed work logs', () => {
+    const entries = [
+      { id: 1, description: 'Task 1', durationSeconds: 600, startedAt: '2024-01-01T10:00:00Z' },
+      { id: 2, description: 'Task 2', durationSeconds: 900, startedAt: '2024-01-01T11:00:00Z' }
+    ];
+    const failure = {
+      payload: { issueKey: 'ABC-1', timeSpentSeconds: 1500, startedAt: '2024-01-01T10:00:00Z' },
+      entries,
+      issueKey: 'ABC-1',
+      error: 'Request failed with status code 503',
+      retryable: true
+    };
+
+    test('persists failures with payload and error', () => {
+      syncHistory.recordFailedWorkLogs([failure], 'jira');
+
+      const failed = new TestSyncHistory().getFailedWorkLogs();
+      expect(failed).toHaveLength(1);
+      expect(failed[0]).toMatchObject({
+        id: 'jira:1,2',
+        target: 'jira',
+        issueKey: 'ABC-1',
+        payload: failure.payload,
+        error: failure.error,
+        retryable: true,
+        attempts: 1
+      });
+      expect(failed[0].entries.map(e => e.id)).toEqual([1, 2]);
+    });
+
+    test('increments attempts when the same work log fails again', () => {
+      syncHistory.recordFailedWorkLogs([failure], 'jira');
+      syncHistory.recordFailedWorkLogs([{ ...failure, error: 'Forbidden', retryable: false }], 'jira');
+
+      const failed = syncHistory.getFailedWorkLogs();
+      expect(failed).toHaveLength(1);
+      expect(failed[0]).toMatchObject({ attempts: 2, error: 'Forbidden', retryable: false });
+    });
+
+    test('prunes failures once their entries are synced', () => {
+      syncHistory.recordFailedWorkLogs([failure], 'jira');
+      syncHistory.markEntriesAsSynced(entries, 'ABC-1', 'w1', 'jira');
+
+      expect(syncHistory.getFailedWorkLogs()).toHaveLength(0);
+    });
+
+    test('keeps running timers provisional when a failure is retried', () => {
+      syncHistory.recordFailedWorkLogs([{ ...failure, entries: [{ ...entries[0], isRunning: true }] }], 'jira');
+
+      const [failed] = new TestSyncHistory().getFailedWorkLogs();
+      syncHistory.markEntriesAsSynced(failed.entries, 'ABC-1', 'w1', 'jira');
+
+      expect(syncHistory.getSyncedEntry(1).provisional).toBe(true);
+    });
+
+    test('keeps the Toggl id of split entries when a failure is retried', () => {
+      const part = { id: '123@2024-01-02', togglId: 123, part: '2024-01-02', description: 'Release', durationSeconds: 5400, startedAt: '2024-01-02T00:00:00.000Z' };
+      syncHistory.recordFailedWorkLogs([{ ...failure, entries: [part] }], 'jira');
+
+      const [failed] = new TestSyncHistory().getFailedWorkLogs();
+      syncHistory.markEntriesAsSynced(failed.entries, 'ABC-1', 'w1', 'jira');
+
+      expect(syncHistory.getSyncedEntry('123@2024-01-02')).toMatchObject({ togglId: 123, part: '2024-01-02' });
+      expect(syncHistory.findOrphanedEntries([{ id: 123 }])).toEqual([]);
+    });
+  });
+
   describe('clear', () => {
     test('clears all sync history', () => {
       // Add some history
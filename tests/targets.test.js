@@ -0,0 +1,139 @@
+import { describe, test, expect, vi, beforeEach, afterEach } from 'vitest';
+import { existsSync, unlinkSync, writeFileSync } from 'fs';
+import {
+  createTargetRules,
+  loadHolidays,
+  buildTargetReport
+} from '../src/utils/targets.js';
+
+const TEST_HOLIDAYS_FILE = '.holidays-test.json';
+const HOUR = 3600;
+
+describe('loadHolidays', () => {
+  afterEach(() => {
+    if (existsSync(TEST_HOLIDAYS_FILE)) {
+      unlinkSync(TEST_HOLIDAYS_FILE);
+    }
+  });
+
+  test('returns no holidays without a file', () => {
+    expect(loadHolidays(TEST_HOLIDAYS_FILE)).toEqual([]);
+  });
+
+  test('reads dates and named dates', () => {
+    writeFileSync(TEST_HOLIDAYS_FILE, JSON.stringify(['2026-12-24', { date: '2026-12-25', name: 'Christmas' }]));
+
+    expect(loadHolidays(TEST_HOLIDAYS_FILE)).toEqual([
+      { date: '2026-12-24', name: null },
+      { date: '2026-12-25', name: 'Christmas' }
+    ]);
+  });
+
+  test('rejects invalid files and dates', () => {
+    writeFileSync(TEST_HOLIDAYS_FILE, '{"date": "2026-12-24"}');
+    expect(() => loadHolidays(TEST_HOLIDAYS_FILE)).toThrow('expected a JSON array');
+
+    writeFileSync(TEST_HOLIDAYS_FILE, '["24.12.2026"]');
+    expect(() => loadHolidays(TEST_HOLIDAYS_FILE)).toThrow('Invalid holiday #1');
+
+    writeFileSync(TEST_HOLIDAYS_FILE, '[');
+    expect(() => loadHolidays(TEST_HOLIDAYS_FILE)).toThrow('Failed to load holidays');
+  });
+});
+
+describe('createTargetRules', () => {
+  test('is off without target hours', () => {
+    expect(createTargetRules()).toBeNull();
+    expect(createTargetRules({ hoursPerDay: '', workDays: ['mon'] })).toBeNull();
+  });
+
+  test('defaults to Monday to Friday', () => {
+    const rules = createTargetRules({ hoursPerDay: '8', holidays: [] });
+
+    expect(rules.dailySeconds).toBe(8 * HOUR);
+    expect(rules.weeklySeconds).toBeNull();
+    expect(rules.workDays).toEqual(['mon', 'tue', 'wed', 'thu', 'fri']);
+  });
+
+  test('spreads a weekly target over the work days', () => {
+    const rules = createTargetRules({ hoursPerWeek: '30', workDays: ['Monday', 'Tue', 'wed'], holidays: [] });
+
+    expect(rules.dailySeconds).toBe(10 * HOUR);
+    expect(rules.weeklySeconds).toBe(30 * HOUR);
+    expect(rules.workDays).toEqual(['mon', 'tue', 'wed']);
+  });
+
+  test('rejects invalid hours and work days', () => {
+    expect(() => createTargetRules({ hoursPerDay: '0' })).toThrow('Target hours must be positive');
+    expect(() => createTargetRules({ hoursPerWeek: 'forty' })).toThrow('Target hours must be positive');
+    expect(() => createTargetRules({ hoursPerDay: '8', workDays: ['monday', 'someday'] })).toThrow('Invalid work day "som"');
+  });
+});
+
+describe('buildTargetReport', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    // Sunday
+    vi.setSystemTime(new Date('2026-10-18T12:00:00Z'));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  const rules = createTargetRules({
+    hoursPerDay: '8',
+    holidays: [{ date: '2026-10-14', name: 'Company day' }]
+  });
+  const timeByDay = {
+    '2026-10-12': { jiraSeconds: 6 * HOUR, nonJiraSeconds: 2 * HOUR, untaggedSeconds: HOUR },
+    '2026-10-13': { jiraSeconds: 7 * HOUR, nonJiraSeconds: 0, untaggedSeconds: 0 },
+    '2026-10-15': { jiraSeconds: 9 * HOUR, nonJiraSeconds: 30 * 60, untaggedSeconds: 0 },
+    '2026-10-17': { jiraSeconds: 0, nonJiraSeconds: HOUR, untaggedSeconds: 0 }
+  };
+
+  test('compares every day of the period with its target', () => {
+    const { days } = buildTargetReport(rules, { from: '2026-10-12', to: '2026-10-18' }, timeByDay);
+
+    expect(days.map(day => [day.date, day.bookedSeconds, day.targetSeconds, day.status])).toEqual([
+      ['2026-10-12', 8 * HOUR, 8 * HOUR, 'ok'],
+      ['2026-10-13', 7 * HOUR, 8 * HOUR, 'under'],
+      ['2026-10-14', 0, 0, 'ok'],
+      ['2026-10-15', 9.5 * HOUR, 8 * HOUR, 'over'],
+      ['2026-10-16', 0, 8 * HOUR, 'under'],
+      ['2026-10-17', HOUR, 0, 'over'],
+      ['2026-10-18', 0, 0, 'ok']
+    ]);
+    expect(days[0]).toMatchObject({ weekday: 'mon', untaggedSeconds: HOUR, differenceSeconds: 0 });
+    expect(days[2].holiday).toBe('Company day');
+  });
+
+  test('sums days into weeks', () => {
+    const { weeks } = buildTargetReport(rules, { from: '2026-10-08', to: '2026-10-18' }, timeByDay);
+
+    expect(weeks).toEqual([
+      expect.objectContaining({ from: '2026-10-08', to: '2026-10-11', bookedSeconds: 0, targetSeconds: 16 * HOUR, status: 'under' }),
+      expect.objectContaining({ from: '2026-10-12', to: '2026-10-18', bookedSeconds: 25.5 * HOUR, targetSeconds: 32 * HOUR, differenceSeconds: -6.5 * HOUR })
+    ]);
+  });
+
+  test('leaves out days after today', () => {
+    const { days } = buildTargetReport(rules, { from: '2026-10-17', to: '2026-10-25' }, {});
+
+    expect(days.map(day => day.date)).toEqual(['2026-10-17', '2026-10-18']);
+  });
+
+  test('reduces a weekly target by its share per holiday in whole weeks', () => {
+    const weekly = createTargetRules({
+      hoursPerWeek: '40',
+      holidays: [{ date: '2026-10-14', name: null }]
+    });
+
+    const whole = buildTargetReport(weekly, { from: '2026-10-12', to: '2026-10-18' }, timeByDay);
+    expect(whole.weeks[0].targetSeconds).toBe(32 * HOUR);
+    expect(whole.days[2].holiday).toBe('Holiday');
+
+    const partial = buildTargetReport(weekly, { from: '2026-10-15', to: '2026-10-18' }, timeByDay);
+    expect(partial.weeks[0].targetSeconds).toBe(16 * HOUR);
+  });
+});
@@ -0,0 +1,42 @@
+import { vi, describe, test, expect } from 'vitest';
+import { TimetrackerClient } from '../src/api/timetracker.js';
+
+describe('TimetrackerClient', () => {
+  test('does not swallow a failed issue id lookup', async () => {
+    const client = new TimetrackerClient();
+    client.jiraClient = { bulkFetchIssueIds: vi.fn().mockRejectedValue(new Error('Failed to fetch issue IDs: 503')) };
+
+    await expect(client.fetchIssueIds(['ABC-1'])).rejects.toThrow('Failed to fetch issue IDs');
+  });
+
+  test('refuses to convert an entry whose issue id is unknown', async () => {
+    const client = new TimetrackerClient();
+    client.jiraClient = { bulkFetchIssueIds: vi.fn().mockResolvedValue({ 'ABC-1': 10001 }) };
+
+    await client.prefetchIssueIds([{ issueKey: 'ABC-1' }, { issueKey: 'ABC-404' }]);
+
+    await expect(client.convertParsedEntryToWorklog({
+      issueKey: 'ABC-404',
+      description: 'ABC-404 Work',
+      durationSeconds: 600,
+      startedAt: '2024-01-01T09:00:00Z',
+      tags: []
+    })).rejects.toThrow('Issue id for ABC-404 could not be resolved');
+  });
+
+  test('converts an entry with a resolved issue id', async () => {
+    const client = new TimetrackerClient();
+    client.jiraClient = { bulkFetchIssueIds: vi.fn().mockResolvedValue({ 'ABC-1': 10001 }) };
+
+    await client.prefetchIssueIds([{ issueKey: 'ABC-1' }]);
+    const workLog = await client.convertParsedEntryToWorklog({
+      issueKey: 'ABC-1',
+      description: 'ABC-1 Work',
+      durationSeconds: 600,
+      startedAt: '2024-01-01T09:00:00Z',
+      tags: []
+    });
+
+    expect(workLog.issueId).toBe(10001);
+  });
+});
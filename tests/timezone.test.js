@@ -0,0 +1,95 @@
+import { vi, describe, test, expect, beforeEach, afterEach } from 'vitest';
+import { config } from '../src/config.js';
+import { getLocalDate, startOfDay, endOfDay, formatZonedDateTime } from '../src/utils/timezone.js';
+import { groupEntriesByDate } from '../src/utils/entry-helpers.js';
+import { formatJiraWorkLogWithBreakdown, formatTimetrackerWorklog } from '../src/utils/formatter.js';
+import { parseDateInput } from '../src/utils/dateParser.js';
+import { JiraClient } from '../src/api/jira.js';
+import { TimetrackerClient } from '../src/api/timetracker.js';
+
+let timezone;
+
+beforeEach(() => {
+  timezone = config.timezone;
+  config.timezone = 'America/New_York';
+});
+
+afterEach(() => {
+  config.timezone = timezone;
+});
+
+describe('day boundaries', () => {
+  test('puts a late-evening entry on its local day', () => {
+    // 23:30 in New York is already the next day in UTC
+    expect(getLocalDate('2024-01-16T04:30:00Z')).toBe('2024-01-15');
+    expect(getLocalDate('2024-01-16T05:00:00Z')).toBe('2024-01-16');
+  });
+
+  test('leaves plain dates as they are', () => {
+    expect(getLocalDate('2024-01-15')).toBe('2024-01-15');
+  });
+
+  test('has a 23-hour day when clocks go forward', () => {
+    expect(startOfDay('2024-03-10').toISOString()).toBe('2024-03-10T05:00:00.000Z');
+    expect(endOfDay('2024-03-10').toISOString()).toBe('2024-03-11T03:59:59.999Z');
+  });
+
+  test('has a 25-hour day when clocks go back', () => {
+    expect(startOfDay('2024-11-03').toISOString()).toBe('2024-11-03T04:00:00.000Z');
+    expect(endOfDay('2024-11-03').toISOString()).toBe('2024-11-04T04:59:59.999Z');
+  });
+
+  test('parses dates as midnight of the configured timezone', () => {
+    expect(parseDateInput('2024-03-10').toISOString()).toBe('2024-03-10T05:00:00.000Z');
+    expect(parseDateInput('2024-03-10').endOf('day').toISOString()).toBe('2024-03-11T03:59:59.999Z');
+  });
+});
+
+describe('grouping and formatting', () => {
+  const lateEntry = { id: 1, issueKey: 'ABC-1', description: 'ABC-1 Late fix', durationSeconds: 3600, startedAt: '2024-01-16T04:30:00Z' };
+  const morningEntry = { id: 2, issueKey: 'ABC-1', description: 'ABC-1 Review', durationSeconds: 1800, startedAt: '2024-01-16T14:00:00Z' };
+
+  test('groups entries by the local day', () => {
+    const grouped = groupEntriesByDate([lateEntry, morningEntry]);
+
+    expect(Object.keys(grouped)).toEqual(['ABC-1_2024-01-15', 'ABC-1_2024-01-16']);
+  });
+
+  test('shows breakdown times in the configured timezone', () => {
+    const workLog = formatJiraWorkLogWithBreakdown('ABC-1', [lateEntry], '2024-01-15');
+
+    expect(workLog.timeBreakdown[0].timeRange).toBe('23:30-00:30');
+  });
+
+  test('shows the right times for an entry spanning a DST change', () => {
+    const entry = { ...lateEntry, startedAt: '2024-03-10T06:30:00Z', durationSeconds: 3600 };
+
+    // 01:30 EST plus one hour is 03:30 EDT
+    expect(formatJiraWorkLogWithBreakdown('ABC-1', [entry], '2024-03-10').timeBreakdown[0].timeRange).toBe('01:30-03:30');
+  });
+
+  test('dates Timetracker work logs in the configured timezone', () => {
+    const workLog = formatTimetrackerWorklog(lateEntry);
+
+    expect(workLog.workDate).toBe('2024-01-15');
+    expect(workLog.workStartTime).toBe('23:30');
+  });
+});
+
+describe('API clients', () => {
+  test('sends the Jira start time with the local offset', async () => {
+    const jiraClient = new JiraClient();
+    jiraClient.client = { post: vi.fn().mockResolvedValue({ data: { id: '1' } }) };
+
+    await jiraClient.createWorkLog('ABC-1', 3600, '2024-01-16T04:30:00Z', 'Late fix');
+
+    expect(jiraClient.client.post.mock.calls[0][1].started).toBe('2024-01-15T23:30:00.000-0500');
+    expect(formatZonedDateTime('2024-07-16T03:30:00Z')).toBe('2024-07-15T23:30:00.000-0400');
+  });
+
+  test('sends the configured timezone to Timetracker', () => {
+    const client = new TimetrackerClient();
+
+    expect(client.client.defaults.headers['x-timezone']).toBe('America/New_York');
+  });
+});
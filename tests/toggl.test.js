@@ -0,0 +1,125 @@
+import { vi, describe, test, expect, beforeEach, afterEach } from 'vitest';
+import dayjs from 'dayjs';
+import { TogglClient, splitDateRange, TIME_ENTRIES_LIMIT } from '../src/api/toggl.js';
+import { addDays, getLocalDate } from '../src/utils/timezone.js';
+import { config } from '../src/config.js';
+
+const entry = (id, start) => ({
+  id,
+  description: `Entry ${id}`,
+  duration: 600,
+  start,
+  stop: start,
+  project_id: 1,
+  workspace_id: 42,
+  tags: []
+});
+
+describe('splitDateRange', () => {
+  test('splits a range into windows covering every day once', () => {
+    const windows = splitDateRange('2024-01-01', '2024-01-17', 7);
+
+    expect(windows.map(w => [w.start.format('YYYY-MM-DD'), w.end.format('YYYY-MM-DD')])).toEqual([
+      ['2024-01-01', '2024-01-07'],
+      ['2024-01-08', '2024-01-14'],
+      ['2024-01-15', '2024-01-17']
+    ]);
+  });
+
+  test('returns a single window for a short range', () => {
+    expect(splitDateRange('2024-01-01', '2024-01-01', 7)).toHaveLength(1);
+  });
+});
+
+describe('TogglClient.getTimeEntries', () => {
+  let workspaceId;
+  let projectId;
+
+  beforeEach(() => {
+    workspaceId = config.toggl.workspaceId;
+    projectId = config.toggl.projectId;
+    config.toggl.workspaceId = '42';
+    config.toggl.projectId = undefined;
+  });
+
+  afterEach(() => {
+    config.toggl.workspaceId = workspaceId;
+    config.toggl.projectId = projectId;
+  });
+
+  test('merges windows and de-duplicates entries by id', async () => {
+    const togglClient = new TogglClient();
+    const today = dayjs().format('YYYY-MM-DD');
+    togglClient.client = {
+      get: vi.fn()
+        .mockResolvedValueOnce({ data: [entry(2, `${today}T10:00:00Z`), entry(1, `${today}T09:00:00Z`)] })
+        .mockResolvedValueOnce({ data: [entry(2, `${today}T10:00:00Z`), entry(3, `${today}T11:00:00Z`)] })
+    };
+
+    const entries = await togglClient.getTimeEntries(dayjs().subtract(10, 'day'), dayjs());
+
+    expect(togglClient.client.get).toHaveBeenCalledTimes(2);
+    expect(entries.map(e => e.id)).toEqual([1, 2, 3]);
+  });
+
+  test('halves a window whose result is capped and warns for a capped day', async () => {
+    const togglClient = new TogglClient();
+    const capped = { data: Array.from({ length: TIME_ENTRIES_LIMIT }, (_, i) => entry(i, '2024-01-01T10:00:00Z')) };
+    togglClient.client = { get: vi.fn().mockResolvedValue(capped) };
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const today = getLocalDate();
+    const entries = await togglClient.getTimeEntries(addDays(today, -1), today);
+
+    // Two days: the capped window is split into one call per day
+    expect(togglClient.client.get).toHaveBeenCalledTimes(3);
+    expect(entries).toHaveLength(TIME_ENTRIES_LIMIT);
+    expect(warn).toHaveBeenCalledTimes(2);
+    expect(warn.mock.calls[0][0]).toContain('may be missing');
+    warn.mockRestore();
+  });
+
+  test('reads periods older than the recent window from the Reports API', async () => {
+    const togglClient = new TogglClient();
+    togglClient.client = {
+      get: vi.fn(async (url) => {
+        if (url === '/me') return { data: { id: 7 } };
+        return { data: [{ id: 5, name: 'dev' }] };
+      }),
+      post: vi.fn()
+        .mockResolvedValueOnce({
+          data: [{
+            description: 'ABC-1 Old work',
+            project_id: 1,
+            tag_ids: [5],
+            time_entries: [{ id: 11, seconds: 1800, start: '2023-01-02T09:00:00Z', stop: '2023-01-02T09:30:00Z' }]
+          }],
+          headers: { 'x-next-id': '12', 'x-next-row-number': '2', 'x-next-timestamp': '1672650000' }
+        })
+        .mockResolvedValueOnce({
+          data: [{
+            description: 'ABC-2 More work',
+            project_id: 1,
+            tag_ids: [],
+            time_entries: [{ id: 12, seconds: 600, start: '2023-01-03T09:00:00Z', stop: '2023-01-03T09:10:00Z' }]
+          }],
+          headers: {}
+        })
+    };
+
+    const entries = await togglClient.getTimeEntries('2023-01-01', '2023-01-31');
+
+    expect(togglClient.client.post).toHaveBeenCalledTimes(2);
+    expect(togglClient.client.post.mock.calls[0][0]).toContain('/workspace/42/search/time_entries');
+    expect(togglClient.client.post.mock.calls[0][1]).toMatchObject({
+      start_date: '2023-01-01',
+      end_date: '2023-01-31',
+      user_ids: [7]
+    });
+    expect(togglClient.client.post.mock.calls[1][1]).toMatchObject({ first_id: 12, first_row_number: 2 });
+    expect(entries).toEqual([
+      expect.objectContaining({ id: 11, description: 'ABC-1 Old work', duration: 1800, workspaceId: 42, tags: ['dev'] }),
+      expect.objectContaining({ id: 12, description: 'ABC-2 More work', duration: 600, tags: [] })
+    ]);
+  });
+});
@@ -0,0 +1,111 @@
+import { vi, describe, test, expect } from 'vitest';
+import {
+  buildWorkLogCandidates,
+  matchRemoteWorkLogs,
+  findRemoteDuplicates
+} from '../src/utils/worklogMatcher.js';
+import { createRoundingRules } from '../src/utils/rounding.js';
+
+const entries = [
+  { id: 1, description: 'ABC-1: Feature', durationSeconds: 1800, startedAt: '2024-01-01T09:00:00Z', issueKey: 'ABC-1' },
+  { id: 2, description: 'ABC-1: Feature', durationSeconds: 900, startedAt: '2024-01-01T14:00:00Z', issueKey: 'ABC-1' },
+  { id: 3, description: 'ABC-2: Bug', durationSeconds: 600, startedAt: '2024-01-02T10:00:00Z', issueKey: 'ABC-2' }
+];
+
+describe('buildWorkLogCandidates', () => {
+  test('builds one candidate per issue and day in Jira mode', () => {
+    const candidates = buildWorkLogCandidates(entries, 'jira');
+
+    expect(candidates).toHaveLength(2);
+    expect(candidates[0]).toMatchObject({ issueKey: 'ABC-1', startedAt: '2024-01-01T09:00:00Z', timeSpentSeconds: 2700 });
+    expect(candidates[0].entries.map(e => e.id)).toEqual([1, 2]);
+  });
+
+  test('builds one candidate per entry in Timetracker mode', () => {
+    const candidates = buildWorkLogCandidates(entries, 'timetracker');
+
+    expect(candidates).toHaveLength(3);
+    expect(candidates[1]).toMatchObject({ issueKey: 'ABC-1', timeSpentSeconds: 900 });
+  });
+
+  test('rounds candidates the way their work logs were created', () => {
+    const rounding = createRoundingRules({ mode: 'up', minutes: 60 });
+
+    expect(buildWorkLogCandidates(entries, 'jira', rounding)[0].timeSpentSeconds).toBe(3600);
+    expect(buildWorkLogCandidates(entries, 'timetracker', rounding)[2].timeSpentSeconds).toBe(3600);
+  });
+});
+
+describe('matchRemoteWorkLogs', () => {
+  const candidate = { issueKey: 'ABC-1', startedAt: '2024-01-01T09:00:30Z', timeSpentSeconds: 2700, entries: [] };
+
+  test('matches by issue, author, start and duration with minute precision', () => {
+    const remote = [
+      { id: '1', issueKey: 'ABC-1', author: { accountId: 'someone-else' }, started: '2024-01-01T09:00:00.000+0000', timeSpentSeconds: 2700 },
+      { id: '2', issueKey: 'ABC-1', author: { accountId: 'me' }, started: '2024-01-01T09:00:00.000+0000', timeSpentSeconds: 2700 }
+    ];
+
+    const matches = matchRemoteWorkLogs([candidate], remote, 'me');
+
+    expect(matches).toHaveLength(1);
+    expect(matches[0].workLog.id).toBe('2');
+  });
+
+  test('does not match different durations or start times', () => {
+    const remote = [
+      { id: '1', issueKey: 'ABC-1', author: { accountId: 'me' }, started: '2024-01-01T09:00:00.000+0000', timeSpentSeconds: 3600 },
+      { id: '2', issueKey: 'ABC-1', author: { accountId: 'me' }, started: '2024-01-01T10:00:00.000+0000', timeSpentSeconds: 2700 }
+    ];
+
+    expect(matchRemoteWorkLogs([candidate], remote, 'me')).toEqual([]);
+  });
+
+  test('matches entries without an issue key on any issue', () => {
+    const remote = [
+      { id: '7', issueKey: 'OPS-12', author: { accountId: 'me' }, started: '2024-01-01T09:00:00.000+0000', timeSpentSeconds: 2700 }
+    ];
+
+    const matches = matchRemoteWorkLogs([{ ...candidate, issueKey: null }], remote, 'me');
+
+    expect(matches).toHaveLength(1);
+    expect(matches[0].workLog.issueKey).toBe('OPS-12');
+  });
+
+  test('uses each remote work log only once', () => {
+    const remote = [
+      { id: '1', issueKey: 'ABC-1', author: { accountId: 'me' }, started: '2024-01-01T09:00:00.000+0000', timeSpentSeconds: 2700 }
+    ];
+
+    expect(matchRemoteWorkLogs([candidate, { ...candidate }], remote, 'me')).toHaveLength(1);
+  });
+});
+
+describe('findRemoteDuplicates', () => {
+  test('fetches work logs per issue around the entries and matches them', async () => {
+    const jiraClient = {
+      getCurrentUser: vi.fn().mockResolvedValue({ accountId: 'me' }),
+      getIssueWorkLogs: vi.fn().mockImplementation(async (issueKey) =>
+        issueKey === 'ABC-2'
+          ? [{ id: '42', issueKey, author: { accountId: 'me' }, started: '2024-01-02T10:00:00.000+0000', timeSpentSeconds: 600 }]
+          : []
+      )
+    };
+
+    const duplicates = await findRemoteDuplicates(jiraClient, entries, 'timetracker');
+
+    expect(jiraClient.getIssueWorkLogs).toHaveBeenCalledTimes(2);
+    const [, range] = jiraClient.getIssueWorkLogs.mock.calls[0];
+    expect(range.startedAfter.toISOString()).toBe('2023-12-31T09:00:00.000Z');
+    expect(range.startedBefore.toISOString()).toBe('2024-01-03T10:00:00.000Z');
+    expect(duplicates).toHaveLength(1);
+    expect(duplicates[0].entries[0].id).toBe(3);
+    expect(duplicates[0].workLog.id).toBe('42');
+  });
+
+  test('returns nothing without candidates', async () => {
+    const jiraClient = { getCurrentUser: vi.fn(), getIssueWorkLogs: vi.fn() };
+
+    expect(await findRemoteDuplicates(jiraClient, [], 'jira')).toEqual([]);
+    expect(jiraClient.getCurrentUser).not.toHaveBeenCalled();
+  });
+});
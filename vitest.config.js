@@ -4,6 +4,8 @@ export default defineConfig({
   test: {
     globals: true,
     environment: 'node',
+    // Tests don't depend on the timezone of the machine running them
+    env: { TIMEZONE: 'UTC' },
     include: ['**/tests/**/*.test.js']
   }
 });
\ No newline at end of file